@@ -1,5 +1,4 @@
 import express from "express";
-import morgan from "morgan";
 import cors from "cors";
 import path from "path";
 import { fileURLToPath } from "url";
@@ -7,11 +6,73 @@ import fs from "fs";
 import { promises as fsPromises } from "fs";
 import axios from "axios";
 import puppeteer from "puppeteer";
+import { PDFDocument, PDFHexString, PDFName } from "pdf-lib";
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command,
+} from "@aws-sdk/client-s3";
+import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
+import JSZip from "jszip";
+import { PNG } from "pngjs";
+import multer from "multer";
+import { parse as parseCsv } from "csv-parse/sync";
+import ExcelJS from "exceljs";
+import Ajv from "ajv";
+import ajvLocalize from "ajv-i18n";
+import { Registry, Counter, Gauge, Histogram, collectDefaultMetrics } from "prom-client";
+import QRCode from "qrcode";
+import Handlebars from "handlebars";
+import bwipjs from "bwip-js";
 import { v4 as uuidv4 } from "uuid";
+import crypto from "crypto";
+import dns from "dns";
+import http from "http";
+import https from "https";
+import net from "net";
+import { AsyncLocalStorage } from "async_hooks";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Logs estruturados: uma linha JSON por evento. Dentro de uma requisição, o
+// contexto (requestId) entra em todas as linhas, inclusive as de funções internas.
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = LOG_LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : "info";
+const logContext = new AsyncLocalStorage();
+
+function serializeLogValue(value) {
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message, code: value.code, stack: value.stack };
+  }
+  return value;
+}
+
+function writeLog(level, message, fields = {}) {
+  if (LOG_LEVELS[level] < LOG_LEVELS[LOG_LEVEL]) return;
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg: message,
+    ...logContext.getStore(),
+    ...Object.fromEntries(
+      Object.entries(fields).map(([key, value]) => [key, serializeLogValue(value)])
+    ),
+  };
+  const stream = LOG_LEVELS[level] >= LOG_LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${JSON.stringify(entry)}\n`);
+}
+
+const logger = {
+  debug: (message, fields) => writeLog("debug", message, fields),
+  info: (message, fields) => writeLog("info", message, fields),
+  warn: (message, fields) => writeLog("warn", message, fields),
+  error: (message, fields) => writeLog("error", message, fields),
+};
+
 const PORT = process.env.PORT || 3000;
 const BASE_URL =
   process.env.BASE_URL ||
@@ -22,48 +83,262 @@ const BASE_URL =
 const DATA_DIR =
   process.env.DATA_DIR || path.resolve(__dirname, "..", "data");
 const CARDS_DIR = path.join(DATA_DIR, "cards");
+const PRESETS_DIR = path.join(DATA_DIR, "presets");
+const TEMPLATES_DIR = path.join(DATA_DIR, "templates");
+const CARD_TEMPLATES_DIR = path.join(DATA_DIR, "card-templates");
+// Registros dos PDFs gerados (criação, expiração, tamanho...), um JSON por arquivo
+const FILES_DIR = path.join(DATA_DIR, "files");
+// Impressoras de rede cadastradas e histórico de impressões
+const PRINTERS_DIR = path.join(DATA_DIR, "printers");
+const PRINTS_DIR = path.join(DATA_DIR, "prints");
+// Dados dos demais tenants ficam em DATA_DIR/tenants/<tenantId>/
+const TENANTS_DIR = path.join(DATA_DIR, "tenants");
+// Arquivo com tenants e chaves de API (as chaves são guardadas como hash SHA-256)
+const AUTH_FILE = process.env.AUTH_FILE || path.join(DATA_DIR, "auth.json");
+// Chave usada nos endpoints /admin
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY || null;
+// Desliga a autenticação (desenvolvimento local): tudo roda no tenant padrão
+const AUTH_DISABLED = process.env.AUTH_DISABLED === "true";
+const DEFAULT_TENANT_ID = "default";
 
 // Log de configuração na inicialização
-console.log("🔧 Configuração do servidor:");
-console.log(`   PORT: ${PORT}`);
-console.log(`   DATA_DIR: ${DATA_DIR}`);
-console.log(`   CARDS_DIR: ${CARDS_DIR}`);
-console.log(`   BASE_URL: ${BASE_URL || "não definido"}`);
-console.log(`   NODE_ENV: ${process.env.NODE_ENV || "não definido"}`);
+logger.info("Configuração do servidor", {
+  port: PORT,
+  dataDir: DATA_DIR,
+  cardsDir: CARDS_DIR,
+  baseUrl: BASE_URL,
+  nodeEnv: process.env.NODE_ENV || null,
+  auth: AUTH_DISABLED ? "desativada" : "chave de API",
+});
+
+// Pool de navegadores do Puppeteer reutilizados entre requisições
+const PDF_POOL_SIZE = Number(process.env.PDF_POOL_SIZE) || 2;
+// Máximo de renderizações aguardando um navegador livre antes de responder 429
+const PDF_QUEUE_MAX = Number(process.env.PDF_QUEUE_MAX) || 20;
+// Tempo máximo de espera na fila antes de desistir (ms)
+const PDF_QUEUE_TIMEOUT = Number(process.env.PDF_QUEUE_TIMEOUT) || 60 * 1000;
+// Renderizações por navegador antes de reciclá-lo (evita vazamento de memória)
+const PDF_POOL_MAX_RENDERS = Number(process.env.PDF_POOL_MAX_RENDERS) || 100;
+// Intervalo do health-check dos navegadores ociosos (ms)
+const PDF_POOL_HEALTH_INTERVAL = 30 * 1000;
+// Páginas renderizadas por chamada ao Puppeteer; lotes maiores são renderizados
+// em partes e concatenados, permitindo acompanhar o progresso dos jobs
+const PDF_PAGES_PER_RENDER = Number(process.env.PDF_PAGES_PER_RENDER) || 25;
+// Jobs assíncronos aguardando ou em execução: acima do limite, POST /jobs
+// responde 429 (total do servidor e por tenant)
+const PDF_JOBS_MAX = Number(process.env.PDF_JOBS_MAX) || 100;
+const PDF_JOBS_MAX_PER_TENANT = Number(process.env.PDF_JOBS_MAX_PER_TENANT) || 20;
+// Tempo que um job concluído continua consultável em GET /jobs/:id (ms); nunca
+// passa da retenção do PDF gerado
+const PDF_JOB_TTL = Number(process.env.PDF_JOB_TTL) || 60 * 60 * 1000;
+// Segredo usado para assinar (HMAC-SHA256) os webhooks de conclusão de jobs
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || null;
+// Política de download de imagens (logo e 'material.qr')
+const IMAGE_FETCH_MAX_BYTES =
+  Number(process.env.IMAGE_FETCH_MAX_BYTES) || 5 * 1024 * 1024;
+const IMAGE_FETCH_ALLOWED_SCHEMES = parseList(
+  process.env.IMAGE_FETCH_ALLOWED_SCHEMES || "https,http"
+);
+// Se definida, só esses hosts são aceitos (aceita curinga, ex.: *.exemplo.com)
+const IMAGE_FETCH_ALLOWED_HOSTS = parseList(process.env.IMAGE_FETCH_ALLOWED_HOSTS);
+const IMAGE_FETCH_DENIED_HOSTS = parseList(process.env.IMAGE_FETCH_DENIED_HOSTS);
+// Endereços privados/locais ficam bloqueados, salvo liberação explícita
+const IMAGE_FETCH_ALLOW_PRIVATE = process.env.IMAGE_FETCH_ALLOW_PRIVATE === "true";
+// Downloads de imagens simultâneos e novas tentativas em falhas transitórias
+const IMAGE_FETCH_CONCURRENCY = Number(process.env.IMAGE_FETCH_CONCURRENCY) || 8;
+const IMAGE_FETCH_RETRIES = Number(process.env.IMAGE_FETCH_RETRIES ?? 2);
+// Cache em memória das imagens baixadas: validade padrão (quando o servidor de
+// origem não envia Cache-Control) e tamanho máximo em bytes
+const IMAGE_CACHE_TTL = Number(process.env.IMAGE_CACHE_TTL) || 10 * 60 * 1000;
+const IMAGE_CACHE_MAX_BYTES =
+  Number(process.env.IMAGE_CACHE_MAX_BYTES) || 50 * 1024 * 1024;
+logger.info("Configuração do pool de PDF", {
+  poolSize: PDF_POOL_SIZE,
+  queueMax: PDF_QUEUE_MAX,
+});
 
 // Tempo de expiração dos PDFs em milissegundos (10 minutos)
 const PDF_EXPIRATION_TIME = 10 * 60 * 1000; // 10 minutos
+// Retenção máxima aceita em 'retention' (segundos)
+const PDF_MAX_RETENTION = Number(process.env.PDF_MAX_RETENTION) || 7 * 24 * 60 * 60;
+// Intervalo da varredura que exclui PDFs expirados
+const FILE_SWEEP_INTERVAL = Number(process.env.FILE_SWEEP_INTERVAL) || 60 * 1000;
+
+// Onde os PDFs gerados ficam: "local" (DATA_DIR) ou "s3" (qualquer serviço compatível).
+// Com "s3" também é obrigatório LINK_SIGNING_SECRET (ver abaixo).
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || "local";
+const S3_BUCKET = process.env.S3_BUCKET || null;
+const S3_REGION = process.env.S3_REGION || "us-east-1";
+// Endpoint próprio para MinIO/R2; MinIO costuma exigir S3_FORCE_PATH_STYLE=true
+const S3_ENDPOINT = process.env.S3_ENDPOINT || undefined;
+const S3_FORCE_PATH_STYLE = process.env.S3_FORCE_PATH_STYLE === "true";
+const S3_ACCESS_KEY_ID = process.env.S3_ACCESS_KEY_ID || undefined;
+const S3_SECRET_ACCESS_KEY = process.env.S3_SECRET_ACCESS_KEY || undefined;
+const S3_PREFIX = process.env.S3_PREFIX || "";
+// Com "true", /files redireciona para uma URL pré-assinada do bucket em vez de
+// repassar o conteúdo pelo servidor
+const S3_PRESIGNED_DOWNLOADS = process.env.S3_PRESIGNED_DOWNLOADS === "true";
+logger.info("Configuração de armazenamento", { storageDriver: STORAGE_DRIVER });
+
+// Validade dos links assinados de download/visualização, em segundos. O padrão
+// acompanha a expiração do PDF; 'linkExpiresIn' no payload pode alterá-la.
+const LINK_DEFAULT_TTL = Number(process.env.LINK_DEFAULT_TTL) || PDF_EXPIRATION_TIME / 1000;
+const LINK_MAX_TTL = Number(process.env.LINK_MAX_TTL) || 24 * 60 * 60;
+// Sem LINK_SIGNING_SECRET fixo, cada processo sorteia o seu: os links deixam de
+// valer a cada reinício e uma réplica recusa os links assinados por outra. Por
+// isso ele é obrigatório com o armazenamento S3 (compartilhado entre réplicas)
+// e em produção; fora disso o sorteio só gera um aviso.
+if (
+  !process.env.LINK_SIGNING_SECRET &&
+  (STORAGE_DRIVER === "s3" || process.env.NODE_ENV === "production")
+) {
+  throw new Error(
+    "LINK_SIGNING_SECRET é obrigatório com STORAGE_DRIVER=s3 ou NODE_ENV=production."
+  );
+}
+const LINK_SIGNING_SECRET =
+  process.env.LINK_SIGNING_SECRET || crypto.randomBytes(32).toString("hex");
+if (!process.env.LINK_SIGNING_SECRET) {
+  logger.warn(
+    "LINK_SIGNING_SECRET não definido; links assinados valem só até o próximo reinício."
+  );
+}
 
-// Map para rastrear timers de exclusão dos PDFs
-const pdfCleanupTimers = new Map();
+// Métricas no formato Prometheus, expostas em GET /metrics
+const METRICS_TOKEN = process.env.METRICS_TOKEN || null;
+const metricsRegistry = new Registry();
+collectDefaultMetrics({ register: metricsRegistry });
+const httpRequestsTotal = new Counter({
+  name: "http_requests_total",
+  help: "Requisições HTTP por método, rota e status.",
+  labelNames: ["method", "route", "status"],
+  registers: [metricsRegistry],
+});
+const httpRequestDuration = new Histogram({
+  name: "http_request_duration_seconds",
+  help: "Duração das requisições HTTP por método, rota e status.",
+  labelNames: ["method", "route", "status"],
+  buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60],
+  registers: [metricsRegistry],
+});
+const pdfRenderDuration = new Histogram({
+  name: "pdf_render_duration_seconds",
+  help: "Duração da renderização de cada PDF (inclui imagens e todas as partes).",
+  labelNames: ["status"],
+  buckets: [0.5, 1, 2.5, 5, 10, 20, 30, 60, 120, 300],
+  registers: [metricsRegistry],
+});
+const pdfPages = new Histogram({
+  name: "pdf_pages",
+  help: "Páginas por PDF gerado.",
+  buckets: [1, 2, 5, 10, 25, 50, 100, 250, 500],
+  registers: [metricsRegistry],
+});
+const pdfCards = new Histogram({
+  name: "pdf_cards",
+  help: "Cards por PDF gerado (contando as cópias de 'quantidade').",
+  buckets: [1, 10, 30, 100, 300, 1000, 3000, 10000],
+  registers: [metricsRegistry],
+});
+const imageFetchFailures = new Counter({
+  name: "image_fetch_failures_total",
+  help: "Falhas ao baixar logo e imagens de QR, por código de erro.",
+  labelNames: ["code"],
+  registers: [metricsRegistry],
+});
+// Lidos do pool de navegadores no momento da coleta
+new Gauge({
+  name: "pdf_renders_active",
+  help: "Renderizações em andamento no pool de navegadores.",
+  registers: [metricsRegistry],
+  collect() {
+    this.set(browserPool.getStats().busy);
+  },
+});
+new Gauge({
+  name: "pdf_renders_queued",
+  help: "Renderizações aguardando um navegador livre.",
+  registers: [metricsRegistry],
+  collect() {
+    this.set(browserPool.getStats().queued);
+  },
+});
 
-async function ensureDirectories() {
-  await fsPromises.mkdir(CARDS_DIR, { recursive: true });
+function parseList(value) {
+  return (value || "")
+    .split(",")
+    .map((item) => item.trim().toLowerCase())
+    .filter(Boolean);
 }
 
-async function schedulePdfDeletion(pdfPath, fileName) {
-  // Cancela timer anterior se existir para o mesmo arquivo
-  if (pdfCleanupTimers.has(fileName)) {
-    clearTimeout(pdfCleanupTimers.get(fileName));
+// O tenant padrão usa os diretórios originais em DATA_DIR, para manter os
+// dados de instalações anteriores à autenticação
+function resolveTenantDirs(tenantId = DEFAULT_TENANT_ID) {
+  if (tenantId === DEFAULT_TENANT_ID) {
+    return {
+      cardsDir: CARDS_DIR,
+      presetsDir: PRESETS_DIR,
+      templatesDir: TEMPLATES_DIR,
+      cardTemplatesDir: CARD_TEMPLATES_DIR,
+      filesDir: FILES_DIR,
+      printersDir: PRINTERS_DIR,
+      printsDir: PRINTS_DIR,
+    };
   }
+  const tenantDir = path.join(TENANTS_DIR, tenantId);
+  return {
+    cardsDir: path.join(tenantDir, "cards"),
+    presetsDir: path.join(tenantDir, "presets"),
+    templatesDir: path.join(tenantDir, "templates"),
+    cardTemplatesDir: path.join(tenantDir, "card-templates"),
+    filesDir: path.join(tenantDir, "files"),
+    printersDir: path.join(tenantDir, "printers"),
+    printsDir: path.join(tenantDir, "prints"),
+  };
+}
+
+async function ensureDirectories(tenantId = DEFAULT_TENANT_ID) {
+  const dirs = resolveTenantDirs(tenantId);
+  await fsPromises.mkdir(dirs.cardsDir, { recursive: true });
+  await fsPromises.mkdir(dirs.presetsDir, { recursive: true });
+  await fsPromises.mkdir(dirs.templatesDir, { recursive: true });
+  await fsPromises.mkdir(dirs.cardTemplatesDir, { recursive: true });
+  await fsPromises.mkdir(dirs.filesDir, { recursive: true });
+  await fsPromises.mkdir(dirs.printersDir, { recursive: true });
+  await fsPromises.mkdir(dirs.printsDir, { recursive: true });
+}
+
+// Registros mantidos em memória por tenant: Map<tenantId, Map<id, registro>>
+function tenantRecords(store, tenantId) {
+  if (!store.has(tenantId)) {
+    store.set(tenantId, new Map());
+  }
+  return store.get(tenantId);
+}
 
-  // Agenda exclusão após 10 minutos
-  const timer = setTimeout(async () => {
+// Lê todos os arquivos .json de um diretório; arquivos inválidos são ignorados
+async function readJsonDirectory(dir, scope) {
+  const fileNames = await fsPromises.readdir(dir).catch((error) => {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  });
+  const records = [];
+  for (const fileName of fileNames.filter((name) => name.endsWith(".json"))) {
     try {
-      await fsPromises.unlink(pdfPath);
-      pdfCleanupTimers.delete(fileName);
-      console.info(`[Limpeza] PDF excluído automaticamente: ${fileName}`);
+      const content = await fsPromises.readFile(path.join(dir, fileName), "utf8");
+      records.push(JSON.parse(content));
     } catch (error) {
-      // Ignora erro se arquivo já foi deletado
-      if (error.code !== "ENOENT") {
-        console.error(`[Limpeza] Erro ao excluir PDF ${fileName}:`, error.message);
-      }
-      pdfCleanupTimers.delete(fileName);
+      logger.error("Falha ao carregar arquivo", { scope, fileName, error: error.message });
     }
-  }, PDF_EXPIRATION_TIME);
+  }
+  return records;
+}
 
-  pdfCleanupTimers.set(fileName, timer);
-  console.info(`[Limpeza] PDF agendado para exclusão em 10 minutos: ${fileName}`);
+// Grava JSON via arquivo temporário + rename para não deixar arquivos truncados
+async function writeJsonFile(filePath, data) {
+  const tmpPath = `${filePath}.${uuidv4().slice(0, 8)}.tmp`;
+  await fsPromises.writeFile(tmpPath, JSON.stringify(data, null, 2));
+  await fsPromises.rename(tmpPath, filePath);
 }
 
 function sanitizeFilename(name) {
@@ -76,28 +351,698 @@ function makeSlug(date = new Date()) {
   return `cards_${iso}_${random}`;
 }
 
-async function fetchImageAsDataUrl(url) {
-  if (!url) return null;
+// Faixas privadas, de loopback, link-local (ex.: 169.254.169.254), CGNAT,
+// multicast e reservadas. Endereços IPv4 mapeados em IPv6 também são cobertos.
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, "ipv4"));
+[
+  ["::", 128],
+  ["::1", 128],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, "ipv6"));
+
+function isPrivateAddress(address) {
+  const family = net.isIPv6(address) ? "ipv6" : "ipv4";
+  return PRIVATE_ADDRESSES.check(address, family);
+}
+
+const IMAGE_POLICY_ERROR_CODES = [
+  "INVALID_URL",
+  "SCHEME_NOT_ALLOWED",
+  "HOST_NOT_ALLOWED",
+  "PRIVATE_ADDRESS",
+];
+
+function createImageFetchError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function hostMatches(hostname, pattern) {
+  if (pattern.startsWith("*.")) {
+    return hostname.endsWith(pattern.slice(1));
+  }
+  return hostname === pattern;
+}
+
+function checkImageUrlPolicy(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw createImageFetchError("INVALID_URL", "URL de imagem inválida.");
+  }
+
+  const scheme = parsed.protocol.replace(/:$/, "");
+  if (!IMAGE_FETCH_ALLOWED_SCHEMES.includes(scheme)) {
+    throw createImageFetchError("SCHEME_NOT_ALLOWED", `Esquema '${scheme}' não permitido.`);
+  }
+
+  const hostname = parsed.hostname.toLowerCase().replace(/^\[|\]$/g, "");
+  if (IMAGE_FETCH_DENIED_HOSTS.some((pattern) => hostMatches(hostname, pattern))) {
+    throw createImageFetchError("HOST_NOT_ALLOWED", `Host '${hostname}' bloqueado.`);
+  }
+  if (
+    IMAGE_FETCH_ALLOWED_HOSTS.length > 0 &&
+    !IMAGE_FETCH_ALLOWED_HOSTS.some((pattern) => hostMatches(hostname, pattern))
+  ) {
+    throw createImageFetchError("HOST_NOT_ALLOWED", `Host '${hostname}' fora da lista permitida.`);
+  }
+  // IPs literais não passam pelo 'lookup', então são checados aqui
+  if (net.isIP(hostname) && isPrivateAddress(hostname) && !IMAGE_FETCH_ALLOW_PRIVATE) {
+    throw createImageFetchError(
+      "PRIVATE_ADDRESS",
+      `Endereço privado '${hostname}' não permitido.`
+    );
+  }
+  return parsed;
+}
+
+// 'lookup' usado pelos agents HTTP: a checagem de endereço privado acontece
+// sobre o IP efetivamente conectado, inclusive em redirecionamentos
+function safeLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+    if (blocked && !IMAGE_FETCH_ALLOW_PRIVATE) {
+      return callback(
+        createImageFetchError(
+          "PRIVATE_ADDRESS",
+          `Host '${hostname}' resolve para endereço privado (${blocked.address}).`
+        )
+      );
+    }
+
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const imageHttpAgent = new http.Agent({ lookup: safeLookup });
+const imageHttpsAgent = new https.Agent({ lookup: safeLookup });
+
+// Identifica o formato pelos bytes iniciais em vez de confiar no content-type
+function detectImageMimeType(buffer) {
+  if (
+    buffer.length >= 8 &&
+    buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))
+  ) {
+    return "image/png";
+  }
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return "image/jpeg";
+  }
+  if (
+    buffer.length >= 12 &&
+    buffer.toString("ascii", 0, 4) === "RIFF" &&
+    buffer.toString("ascii", 8, 12) === "WEBP"
+  ) {
+    return "image/webp";
+  }
+  const head = buffer.toString("utf8", 0, 1024).replace(/^\uFEFF/, "").trimStart();
+  if (/^(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*(<!DOCTYPE svg[^>]*>\s*)?<svg[\s>]/i.test(head)) {
+    return "image/svg+xml";
+  }
+  return null;
+}
 
+// Baixa a imagem; com 'validators' (etag/lastModified de uma entrada em cache)
+// faz uma requisição condicional e devolve 'notModified' se receber 304
+async function fetchImage(url, validators = {}) {
+  checkImageUrlPolicy(url);
+
+  const headers = {};
+  if (validators.etag) headers["If-None-Match"] = validators.etag;
+  if (validators.lastModified) headers["If-Modified-Since"] = validators.lastModified;
+
+  let response;
   try {
-    const response = await axios.get(url, {
+    response = await axios.get(url, {
       responseType: "arraybuffer",
       timeout: 10000,
+      headers,
+      maxContentLength: IMAGE_FETCH_MAX_BYTES,
+      maxRedirects: 3,
+      proxy: false,
+      httpAgent: imageHttpAgent,
+      httpsAgent: imageHttpsAgent,
+      validateStatus: (status) => (status >= 200 && status < 300) || status === 304,
+      beforeRedirect: (options) => {
+        checkImageUrlPolicy(options.href);
+      },
+    });
+  } catch (error) {
+    // Bloqueios da política (no lookup ou em redirecionamentos) chegam embrulhados pelo axios
+    const policyError = [error, error.cause].find(
+      (item) => item && IMAGE_POLICY_ERROR_CODES.includes(item.code)
+    );
+    if (policyError) {
+      throw createImageFetchError(policyError.code, policyError.message);
+    }
+    if (/maxContentLength/.test(error.message)) {
+      throw createImageFetchError(
+        "TOO_LARGE",
+        `Imagem excede o limite de ${IMAGE_FETCH_MAX_BYTES} bytes.`
+      );
+    }
+    const fetchError = createImageFetchError("FETCH_FAILED", error.message);
+    // Erros de rede, 429 e 5xx valem nova tentativa; demais 4xx não
+    const status = error.response && error.response.status;
+    fetchError.retryable = !status || status === 429 || status >= 500;
+    throw fetchError;
+  }
+
+  const cacheInfo = {
+    etag: response.headers.etag || null,
+    lastModified: response.headers["last-modified"] || null,
+    cacheControl: parseCacheControl(response.headers["cache-control"]),
+  };
+
+  if (response.status === 304) {
+    return { notModified: true, ...cacheInfo };
+  }
+
+  const buffer = Buffer.from(response.data);
+  const mimeType = detectImageMimeType(buffer);
+  if (!mimeType) {
+    throw createImageFetchError(
+      "NOT_AN_IMAGE",
+      "Conteúdo não é uma imagem PNG, JPEG, SVG ou WebP."
+    );
+  }
+  return {
+    dataUrl: `data:${mimeType};base64,${buffer.toString("base64")}`,
+    ...cacheInfo,
+  };
+}
+
+function parseCacheControl(header) {
+  const directives = (header || "").toLowerCase();
+  const maxAgeMatch = /(?:^|,)\s*max-age=(\d+)/.exec(directives);
+  return {
+    noStore: /(?:^|,)\s*no-store/.test(directives),
+    noCache: /(?:^|,)\s*no-cache/.test(directives),
+    maxAge: maxAgeMatch ? Number(maxAgeMatch[1]) : null,
+  };
+}
+
+async function fetchImageWithRetry(url, validators) {
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      return await fetchImage(url, validators);
+    } catch (error) {
+      if (!error.retryable || attempt >= IMAGE_FETCH_RETRIES) throw error;
+      // Backoff exponencial com jitter: ~500ms, ~1s, ~2s...
+      const delay = 500 * 2 ** attempt + Math.floor(Math.random() * 250);
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  }
+}
+
+// Executa no máximo 'limit' tarefas ao mesmo tempo; as demais aguardam em fila
+function createConcurrencyLimiter(limit) {
+  let active = 0;
+  const queue = [];
+
+  const next = () => {
+    if (active >= limit || queue.length === 0) return;
+    const { task, resolve, reject } = queue.shift();
+    active += 1;
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active -= 1;
+        next();
+      });
+  };
+
+  return (task) =>
+    new Promise((resolve, reject) => {
+      queue.push({ task, resolve, reject });
+      next();
     });
+}
+
+const imageFetchLimiter = createConcurrencyLimiter(IMAGE_FETCH_CONCURRENCY);
+
+// Cache de imagens por URL. A ordem de inserção do Map serve de LRU: entradas
+// lidas são reinseridas no fim e a eviction remove do início.
+const imageCache = new Map();
+// Downloads em andamento, para que URLs repetidas no lote baixem uma só vez
+const inFlightImageFetches = new Map();
+const imageCacheStats = {
+  bytes: 0,
+  hits: 0,
+  misses: 0,
+  revalidated: 0,
+  deduplicated: 0,
+  evictions: 0,
+};
+
+function removeCachedImage(url) {
+  const entry = imageCache.get(url);
+  if (!entry) return;
+  imageCache.delete(url);
+  imageCacheStats.bytes -= entry.dataUrl.length;
+}
+
+function storeCachedImage(url, { dataUrl, etag, lastModified, cacheControl }) {
+  removeCachedImage(url);
+  if (cacheControl.noStore || dataUrl.length > IMAGE_CACHE_MAX_BYTES) return;
+
+  const ttl =
+    cacheControl.maxAge !== null ? cacheControl.maxAge * 1000 : IMAGE_CACHE_TTL;
+  imageCache.set(url, {
+    dataUrl,
+    etag,
+    lastModified,
+    // 'no-cache' permite guardar, mas exige revalidação antes de cada uso
+    expiresAt: cacheControl.noCache ? 0 : Date.now() + ttl,
+  });
+  imageCacheStats.bytes += dataUrl.length;
+
+  while (imageCacheStats.bytes > IMAGE_CACHE_MAX_BYTES) {
+    const oldestUrl = imageCache.keys().next().value;
+    removeCachedImage(oldestUrl);
+    imageCacheStats.evictions += 1;
+  }
+}
+
+async function fetchImageCached(url) {
+  const cached = imageCache.get(url);
+  if (cached && cached.expiresAt > Date.now()) {
+    imageCacheStats.hits += 1;
+    imageCache.delete(url);
+    imageCache.set(url, cached);
+    return cached.dataUrl;
+  }
+
+  if (inFlightImageFetches.has(url)) {
+    imageCacheStats.deduplicated += 1;
+    return inFlightImageFetches.get(url);
+  }
+
+  imageCacheStats.misses += 1;
+  const validators = cached
+    ? { etag: cached.etag, lastModified: cached.lastModified }
+    : {};
+  const promise = imageFetchLimiter(() => fetchImageWithRetry(url, validators))
+    .then((result) => {
+      if (result.notModified && cached) {
+        imageCacheStats.revalidated += 1;
+        storeCachedImage(url, { ...result, dataUrl: cached.dataUrl });
+        return cached.dataUrl;
+      }
+      storeCachedImage(url, result);
+      return result.dataUrl;
+    })
+    .finally(() => inFlightImageFetches.delete(url));
+
+  inFlightImageFetches.set(url, promise);
+  return promise;
+}
+
+function getImageCacheStats() {
+  const lookups =
+    imageCacheStats.hits + imageCacheStats.misses + imageCacheStats.deduplicated;
+  return {
+    entries: imageCache.size,
+    ...imageCacheStats,
+    hitRate:
+      lookups > 0
+        ? Number(((imageCacheStats.hits + imageCacheStats.deduplicated) / lookups).toFixed(4))
+        : 0,
+  };
+}
+
+// Retorna a imagem como data URL ou null. Falhas são logadas e, se 'onError'
+// for informado, repassadas a ele para constarem na resposta
+async function fetchImageAsDataUrl(url, onError) {
+  if (!url) return null;
 
-    const mimeType =
-      response.headers["content-type"] || "image/png";
-    const base64 = Buffer.from(response.data).toString("base64");
-    return `data:${mimeType};base64,${base64}`;
+  try {
+    return await fetchImageCached(url);
   } catch (error) {
-    console.error("[fetchImageAsDataUrl] Falha ao carregar imagem:", {
+    const code = error.code || "FETCH_FAILED";
+    imageFetchFailures.inc({ code });
+    logger.error("Falha ao carregar imagem", {
+      scope: "fetchImageAsDataUrl",
       url,
-      message: error.message,
+      code,
+      error: error.message,
+    });
+    if (onError) {
+      onError({ url, code, message: error.message });
+    }
+    return null;
+  }
+}
+
+const QR_ERROR_CORRECTION_LEVELS = ["L", "M", "Q", "H"];
+
+// Monta o conteúdo do QR a partir do template, ex.: "{codigo}" ou
+// "https://app/estoque/{codigo}". Em templates de URL os valores são codificados.
+// Só campos do próprio material entram ('{constructor}' não lê o protótipo);
+// campos ausentes ficam vazios.
+function renderQrPayload(template, material) {
+  const isUrl = /^[a-z][a-z0-9+.-]*:\/\//i.test(template);
+  return template.replace(/\{(\w+)\}/g, (_match, field) => {
+    const value = Object.hasOwn(material, field) ? material[field] : undefined;
+    if (value === undefined || value === null) return "";
+    return isUrl ? encodeURIComponent(String(value)) : String(value);
+  });
+}
+
+async function generateQrDataUrl(payload, { errorCorrectionLevel, margin }) {
+  const svg = await QRCode.toString(payload, {
+    type: "svg",
+    errorCorrectionLevel,
+    margin,
+  });
+  const base64 = Buffer.from(svg).toString("base64");
+  return `data:image/svg+xml;base64,${base64}`;
+}
+
+// 'material.qr' continua aceito como override (URL de imagem pronta); se não for
+// informado ou falhar, o QR é gerado localmente a partir de 'layout.qrPayload'.
+async function resolveQrDataUrl(material, layout, onError) {
+  if (material.qr) {
+    const fetched = await fetchImageAsDataUrl(material.qr, onError);
+    if (fetched) return fetched;
+    logger.warn("Usando QR gerado localmente", {
+      scope: "resolveQrDataUrl",
+      codigo: material.codigo,
+    });
+  }
+
+  const payload = renderQrPayload(layout.qrPayload, material);
+  if (!payload) return null;
+
+  try {
+    return await generateQrDataUrl(payload, {
+      errorCorrectionLevel: layout.qrErrorCorrection,
+      margin: layout.qrMargin,
+    });
+  } catch (error) {
+    logger.error("Falha ao gerar QR", {
+      scope: "resolveQrDataUrl",
+      codigo: material.codigo,
+      error: error.message,
     });
     return null;
   }
 }
 
+// Tamanhos de papel nomeados, em mm no retrato
+const PAGE_SIZES = {
+  A3: { width: 297, height: 420 },
+  A4: { width: 210, height: 297 },
+  A5: { width: 148, height: 210 },
+  A6: { width: 105, height: 148 },
+  LETTER: { width: 215.9, height: 279.4 },
+  LEGAL: { width: 215.9, height: 355.6 },
+};
+
+const PAGE_ORIENTATIONS = ["portrait", "landscape"];
+// Cabeçalho com o logo na primeira página: altura e espaço até o grid (mm)
+const PAGE_HEADER_LOGO_HEIGHT = 24;
+const PAGE_HEADER_LOGO_GAP = 4;
+
+// Resolve 'pageSize' (nome ou { width, height } em mm) e 'orientation' para
+// as dimensões finais da página. Tamanhos nomeados são retrato por padrão. Um
+// tamanho personalizado vale como enviado ('width' é a largura impressa) quando
+// 'orientation' é omitida; com ela, o lado maior vai para a altura ("portrait")
+// ou para a largura ("landscape"), qualquer que seja a ordem enviada.
+function resolvePageDimensions(pageSize = "A4", orientation) {
+  const base =
+    typeof pageSize === "string"
+      ? PAGE_SIZES[pageSize.toUpperCase()]
+      : { width: pageSize.width, height: pageSize.height };
+  const resolvedOrientation =
+    orientation || (typeof pageSize === "string" ? "portrait" : null);
+  if (!resolvedOrientation) {
+    return { pageWidth: base.width, pageHeight: base.height };
+  }
+  const shortSide = Math.min(base.width, base.height);
+  const longSide = Math.max(base.width, base.height);
+  const isLandscape = resolvedOrientation === "landscape";
+  return {
+    pageWidth: isLandscape ? longSide : shortSide,
+    pageHeight: isLandscape ? shortSide : longSide,
+  };
+}
+
+// Quando rotacionado próximo de 90/270 graus, as dimensões do grid precisam ser invertidas
+// para acomodar o card rotacionado
+function resolveGridCellSize({ rotateCard = 0, cardWidth, cardHeight }) {
+  const normalizedRotate = ((rotateCard % 360) + 360) % 360;
+  const isRotated = (normalizedRotate >= 45 && normalizedRotate <= 135) || 
+                    (normalizedRotate >= 225 && normalizedRotate <= 315);
+  return {
+    gridColWidth: isRotated ? cardHeight : cardWidth,
+    gridRowHeight: isRotated ? cardWidth : cardHeight,
+  };
+}
+
+const CODE_TYPES = ["qr", "code128", "ean13", "datamatrix"];
+
+// Códigos quadrados usam 'qrSize'; lineares usam a largura do card e 'barcodeHeight'
+const SQUARE_CODE_TYPES = ["qr", "datamatrix"];
+
+// Posições vazias no fim da folha: "placeholder" imprime "Vago", "blank" deixa em branco
+const EMPTY_SLOT_MODES = ["placeholder", "blank"];
+const MAX_MATERIAL_COPIES = 1000;
+// Total de cards (soma das 'quantidade') aceito num payload, somando as seções
+const MAX_CARDS_PER_PAYLOAD = Number(process.env.MAX_CARDS_PER_PAYLOAD) || 10000;
+const CARD_BORDER_STYLES = ["solid", "dashed", "none"];
+// Limites de corte e sangria (mm)
+const CUT_MARK_MAX_LENGTH = 10;
+const CUT_MARK_MAX_OFFSET = 10;
+const BLEED_MAX = 5;
+// Calibração de impressora: deslocamento em mm e escala como fator
+const CALIBRATION_MAX_OFFSET = 20;
+const CALIBRATION_MIN_SCALE = 0.9;
+const CALIBRATION_MAX_SCALE = 1.1;
+
+// Normaliza { offsetX, offsetY, scaleX, scaleY } (layout e impressoras). Valores
+// positivos de deslocamento movem a impressão para a direita e para baixo.
+// 'report(field, code, params, message)' recebe cada problema encontrado.
+function validateCalibration(calibration, report) {
+  if (!calibration || typeof calibration !== "object") {
+    report(
+      null,
+      "object",
+      { field: "calibration" },
+      "'calibration' deve ser um objeto { offsetX, offsetY, scaleX, scaleY }."
+    );
+    return undefined;
+  }
+  const { offsetX = 0, offsetY = 0, scaleX = 1, scaleY = 1 } = calibration;
+  [
+    ["offsetX", offsetX],
+    ["offsetY", offsetY],
+  ].forEach(([key, value]) => {
+    if (typeof value !== "number" || !(Math.abs(value) <= CALIBRATION_MAX_OFFSET)) {
+      report(
+        key,
+        "number_range",
+        { field: key, min: -CALIBRATION_MAX_OFFSET, max: CALIBRATION_MAX_OFFSET, unit: "mm" },
+        `'${key}' deve ser um número entre -${CALIBRATION_MAX_OFFSET} e ${CALIBRATION_MAX_OFFSET} (mm).`
+      );
+    }
+  });
+  [
+    ["scaleX", scaleX],
+    ["scaleY", scaleY],
+  ].forEach(([key, value]) => {
+    if (
+      typeof value !== "number" ||
+      !(value >= CALIBRATION_MIN_SCALE && value <= CALIBRATION_MAX_SCALE)
+    ) {
+      report(
+        key,
+        "number_range",
+        { field: key, min: CALIBRATION_MIN_SCALE, max: CALIBRATION_MAX_SCALE },
+        `'${key}' deve ser um número entre ${CALIBRATION_MIN_SCALE} e ${CALIBRATION_MAX_SCALE}.`
+      );
+    }
+  });
+  return { offsetX, offsetY, scaleX, scaleY };
+}
+
+// 'code' e 'params' identificam a mensagem em VALIDATION_MESSAGES_EN para a
+// resposta em inglês
+function createHttpError(status, message, { code, params } = {}) {
+  const error = new Error(message);
+  error.status = status;
+  if (code) {
+    error.messageCode = code;
+    error.messageParams = params;
+  }
+  return error;
+}
+
+// 'codeType' aceita um tipo ("code128") ou uma lista (["qr", "code128"]) para
+// imprimir mais de um código no mesmo card. O material pode sobrescrever o layout.
+function resolveCodeTypes(material, layout) {
+  const codeType =
+    material.codeType !== undefined ? material.codeType : layout.codeType;
+  return Array.isArray(codeType) ? codeType : [codeType];
+}
+
+function isValidEan13CheckDigit(digits) {
+  const sum = digits
+    .slice(0, 12)
+    .split("")
+    .reduce((acc, digit, index) => acc + Number(digit) * (index % 2 === 0 ? 1 : 3), 0);
+  const checkDigit = (10 - (sum % 10)) % 10;
+  return checkDigit === Number(digits[12]);
+}
+
+// Retorna a mensagem de erro para o código na simbologia informada, ou null se válido
+function validateBarcodeValue(codeType, value) {
+  switch (codeType) {
+    case "code128":
+      if (!/^[\x00-\x7F]+$/.test(value)) {
+        return { code: "code128_charset", message: "Code128 aceita apenas caracteres ASCII." };
+      }
+      if (value.length > 80) {
+        return { code: "code128_length", message: "Code128 aceita no máximo 80 caracteres." };
+      }
+      return null;
+    case "ean13":
+      if (!/^\d{12,13}$/.test(value)) {
+        return {
+          code: "ean13_format",
+          message: "EAN-13 deve conter 12 ou 13 dígitos numéricos.",
+        };
+      }
+      if (value.length === 13 && !isValidEan13CheckDigit(value)) {
+        return { code: "ean13_check_digit", message: "EAN-13 com dígito verificador inválido." };
+      }
+      return null;
+    case "datamatrix":
+      if (!/^[\x00-\xFF]+$/.test(value)) {
+        return {
+          code: "datamatrix_charset",
+          message: "DataMatrix aceita apenas caracteres Latin-1.",
+        };
+      }
+      if (value.length > 1556) {
+        return {
+          code: "datamatrix_length",
+          message: "DataMatrix aceita no máximo 1556 caracteres.",
+        };
+      }
+      return null;
+    default:
+      return null;
+  }
+}
+
+function generateBarcodeDataUrl(codeType, value) {
+  const svg = bwipjs.toSVG({
+    bcid: codeType,
+    text: value,
+    includetext: false,
+  });
+  const base64 = Buffer.from(svg).toString("base64");
+  return `data:image/svg+xml;base64,${base64}`;
+}
+
+async function prepareMaterial(material, layout, onError) {
+  const codeTypes = resolveCodeTypes(material, layout);
+  const codigo = String(material.codigo);
+
+  const qrDataUrl = codeTypes.includes("qr")
+    ? await resolveQrDataUrl(material, layout, onError)
+    : null;
+
+  const barcodes = codeTypes
+    .filter((codeType) => codeType !== "qr")
+    .map((codeType) => {
+      try {
+        return { codeType, dataUrl: generateBarcodeDataUrl(codeType, codigo) };
+      } catch (error) {
+        logger.error("Falha ao gerar código de barras", {
+          scope: "prepareMaterial",
+          codeType,
+          codigo,
+          error: error.message,
+        });
+        return { codeType, dataUrl: null };
+      }
+    });
+
+  return {
+    ...material,
+    codeTypes,
+    qrDataUrl,
+    barcodes,
+  };
+}
+
+// Busca logo e imagens dos materiais e pagina os cards. Falhas de download
+// voltam em 'warnings' com a posição do material, para irem na resposta.
+async function prepareRenderData(payload, { onMaterialPrepared = () => {} } = {}) {
+  const {
+    logoUrl,
+    layout,
+    materials,
+  } = payload;
+
+  const warnings = [];
+  const cardsPerPage = layout.cols * layout.rows;
+
+  const logoDataUrl = await fetchImageAsDataUrl(logoUrl, (failure) => {
+    warnings.push({ source: "logo", ...failure });
+  });
+  const materialsWithQr = await Promise.all(
+    materials.map(async (material, index) => {
+      const prepared = await prepareMaterial(material, layout, (failure) => {
+        warnings.push({ source: "qr", index, codigo: material.codigo, ...failure });
+      });
+      onMaterialPrepared(prepared);
+      return { ...prepared, materialIndex: index };
+    })
+  );
+
+  return {
+    logoDataUrl,
+    pages: chunkArray(expandCardSlots(materialsWithQr, layout), cardsPerPage),
+    warnings: warnings.sort((a, b) => (a.index ?? -1) - (b.index ?? -1)),
+  };
+}
+
+// Posições da folha em ordem: as anteriores a 'startPosition' (já usadas) ficam
+// null e cada material se repete 'quantidade' vezes
+function expandCardSlots(materials, layout) {
+  const usedSlots = Array.from({ length: (layout.startPosition || 1) - 1 }, () => null);
+  return [
+    ...usedSlots,
+    ...materials.flatMap((material) =>
+      Array.from({ length: Number(material.quantidade || 1) }, () => material)
+    ),
+  ];
+}
+
 function chunkArray(items, size) {
   const chunks = [];
   for (let i = 0; i < items.length; i += size) {
@@ -116,49 +1061,421 @@ function escapeHtml(value) {
     .replace(/'/g, "&#039;");
 }
 
-function buildHtml({
-  logoDataUrl,
-  layout,
-  pages,
-  mode = "pdf",
-}) {
-  const {
-    cols,
-    rows,
-    marginTop,
-    marginBottom,
-    marginLeft,
-    marginRight,
-    gapCol,
-    gapRow,
-    rotateCard = 0,
-    cardWidth,
-    cardHeight,
-    cardPadding = 8,
-    cardMarginTop = 4,
-    cardMarginBottom = 4,
-    companyName = "Appsculpt",
-    companyFont = 3.5,
-    nameFont = 4,
-    maxCharsName,
-    codeFont = 3.2,
-    maxCharsCode,
-    qrSize = 32,
-  } = layout;
+const CARD_ELEMENT_TYPES = ["field", "text", "code", "logo", "divider"];
+const CARD_ELEMENT_ALIGNS = ["left", "center", "right"];
+const CARD_ELEMENT_WEIGHTS = ["normal", "bold", "100", "200", "300", "400", "500", "600", "700", "800", "900"];
+const CARD_ELEMENT_OVERFLOWS = ["ellipsis", "wrap", "clip"];
+const CARD_DIVIDER_STYLES = ["solid", "dashed", "dotted"];
+// Ajuste de texto medido no navegador: "shrink" reduz a fonte até 'minFontSize',
+// "wrap" quebra em até 'maxLines' linhas e "truncate" corta com reticências
+const TEXT_FIT_MODES = ["shrink", "wrap", "truncate"];
+const TEXT_FIT_DEFAULT_MIN_FONT = 2;
+const CSS_COLOR_PATTERN = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
 
-  const isPreview = mode === "preview";
-  const totalCardsPerPage = cols * rows;
-  if (totalCardsPerPage <= 0) {
+function truncateText(text, maxChars) {
+  if (!maxChars || maxChars <= 0) return text;
+  if (text.length <= maxChars) return text;
+  return text.substring(0, maxChars) + "...";
+}
+
+// Estilo inline de elementos de texto; os valores já foram validados em validateLayout
+function buildTextElementStyle(element) {
+  const styles = [];
+  if (element.fontSize !== undefined) styles.push(`font-size:${element.fontSize}mm`);
+  if (element.fontWeight !== undefined) styles.push(`font-weight:${element.fontWeight}`);
+  if (element.align !== undefined) styles.push(`text-align:${element.align}`);
+  if (element.color !== undefined) styles.push(`color:${element.color}`);
+  if (element.overflow === "wrap" && element.maxLines) {
+    styles.push(`-webkit-line-clamp:${element.maxLines}`);
+  }
+  // 'wrap' limita as linhas mesmo com maxLines = 1; sem o limite o texto passaria
+  // do espaço do elemento sem aparecer em textOverflows
+  if (element.fit && (element.fit.mode === "wrap" || element.fit.maxLines > 1)) {
+    styles.push(`-webkit-line-clamp:${element.fit.maxLines}`);
+  }
+  return styles.length > 0 ? ` style="${styles.join(";")}"` : "";
+}
+
+function renderCardElement(element, { material, codesHtml, logoDataUrl }) {
+  switch (element.type) {
+    case "field":
+    case "text": {
+      const rawValue =
+        element.type === "field" ? material[element.field] : element.text;
+      const value =
+        rawValue === undefined || rawValue === null ? "" : String(rawValue);
+      const text = `${element.label || ""}${truncateText(value, element.maxChars)}`;
+      // Com 'fit' o ajuste substitui o 'overflow' do elemento
+      const overflowClass =
+        element.overflow && !element.fit ? ` overflow-${element.overflow}` : "";
+      const className = element.className || `card-element${overflowClass}`;
+      const fitAttributes = element.fit
+        ? ` data-fit="${element.fit.mode}" data-min-font="${element.fit.minFontSize}" data-max-lines="${element.fit.maxLines}" data-material="${material.materialIndex}" data-field="${escapeHtml(element.field || "text")}"`
+        : "";
+      return `<div class="${className}"${fitAttributes}${buildTextElementStyle(element)}>${escapeHtml(text)}</div>`;
+    }
+    case "code":
+      return codesHtml;
+    case "logo":
+      return logoDataUrl
+        ? `<div class="card-logo" style="height:${element.height || 8}mm"><img src="${logoDataUrl}" alt="Logo"></div>`
+        : "";
+    case "divider":
+      return `<div class="card-divider" style="border-top:${element.thickness || 0.3}mm ${element.style || "solid"} ${element.color || "#cbd5e1"}"></div>`;
+    default:
+      return "";
+  }
+}
+
+// Normaliza { mode, minFontSize, maxLines } de 'fit' (elementos, 'nameFit' e 'codeFit');
+// 'report(field, code, params, message)' recebe cada problema encontrado
+function validateTextFit(fit, report) {
+  if (!fit || typeof fit !== "object" || !TEXT_FIT_MODES.includes(fit.mode)) {
+    report(
+      "mode",
+      "enum",
+      { field: "mode", values: TEXT_FIT_MODES },
+      `'mode' deve ser um de: ${TEXT_FIT_MODES.join(", ")}.`
+    );
+    if (!fit || typeof fit !== "object") return undefined;
+  }
+  const { mode, minFontSize, maxLines } = fit;
+  if (minFontSize !== undefined && !(typeof minFontSize === "number" && minFontSize > 0)) {
+    report(
+      "minFontSize",
+      "positive_number",
+      { field: "minFontSize", unit: "mm" },
+      "'minFontSize' deve ser um número maior que zero (mm)."
+    );
+  }
+  if (maxLines !== undefined && (!Number.isInteger(maxLines) || maxLines <= 0)) {
+    report(
+      "maxLines",
+      "positive_integer",
+      { field: "maxLines" },
+      "'maxLines' deve ser um inteiro maior que zero."
+    );
+  }
+  return {
+    mode,
+    minFontSize: minFontSize !== undefined ? minFontSize : TEXT_FIT_DEFAULT_MIN_FONT,
+    maxLines: maxLines !== undefined ? maxLines : mode === "wrap" ? 2 : 1,
+  };
+}
+
+// Os problemas vão para 'report' com o campo relativo ao layout (ex.:
+// elements[2].fontSize); com algum problema não há lista normalizada
+function validateCardElements(elements, report) {
+  if (!Array.isArray(elements) || elements.length === 0 || elements.length > 30) {
+    report(
+      "elements",
+      "element_list",
+      { max: 30 },
+      "'elements' deve ser uma lista com 1 a 30 itens."
+    );
+    return undefined;
+  }
+
+  let valid = true;
+  elements.forEach((element, index) => {
+    const fail = (field, code, params, message) => {
+      valid = false;
+      report(field ? `elements[${index}].${field}` : `elements[${index}]`, code, params, message);
+    };
+    const isPositiveNumber = (value) => typeof value === "number" && value > 0;
+    const checkEnum = (field, values) => {
+      if (element[field] !== undefined && !values.includes(element[field])) {
+        fail(field, "enum", { field, values }, `'${field}' deve ser um de: ${values.join(", ")}.`);
+      }
+    };
+    const checkPositiveNumber = (field) => {
+      if (element[field] !== undefined && !isPositiveNumber(element[field])) {
+        fail(
+          field,
+          "positive_number",
+          { field, unit: "mm" },
+          `'${field}' deve ser um número maior que zero (mm).`
+        );
+      }
+    };
+    const checkPositiveInteger = (field) => {
+      if (
+        element[field] !== undefined &&
+        (!Number.isInteger(element[field]) || element[field] <= 0)
+      ) {
+        fail(
+          field,
+          "positive_integer",
+          { field },
+          `'${field}' deve ser um inteiro maior que zero.`
+        );
+      }
+    };
+
+    if (!element || typeof element !== "object") {
+      fail(null, "object", { field: `elements[${index}]` }, "O elemento deve ser um objeto.");
+      return;
+    }
+    if (!CARD_ELEMENT_TYPES.includes(element.type)) {
+      fail(
+        "type",
+        "enum",
+        { field: "type", values: CARD_ELEMENT_TYPES },
+        `'type' deve ser um de: ${CARD_ELEMENT_TYPES.join(", ")}.`
+      );
+    }
+    if (element.type === "field" && (typeof element.field !== "string" || !element.field)) {
+      fail(
+        "field",
+        "element_required",
+        { field: "field", type: "field" },
+        "'field' é obrigatório para elementos do tipo field."
+      );
+    }
+    if (element.type === "text" && typeof element.text !== "string") {
+      fail(
+        "text",
+        "element_required",
+        { field: "text", type: "text" },
+        "'text' é obrigatório para elementos do tipo text."
+      );
+    }
+    if (element.label !== undefined && typeof element.label !== "string") {
+      fail("label", "string", { field: "label" }, "'label' deve ser texto.");
+    }
+    checkPositiveNumber("fontSize");
+    if (
+      element.fontWeight !== undefined &&
+      !CARD_ELEMENT_WEIGHTS.includes(String(element.fontWeight))
+    ) {
+      fail(
+        "fontWeight",
+        "enum",
+        { field: "fontWeight", values: CARD_ELEMENT_WEIGHTS },
+        `'fontWeight' deve ser um de: ${CARD_ELEMENT_WEIGHTS.join(", ")}.`
+      );
+    }
+    checkEnum("align", CARD_ELEMENT_ALIGNS);
+    if (element.color !== undefined && !CSS_COLOR_PATTERN.test(element.color)) {
+      fail(
+        "color",
+        "color",
+        { field: "color", example: "#1f2937" },
+        "'color' deve ser uma cor hexadecimal, ex.: #1f2937."
+      );
+    }
+    checkPositiveInteger("maxChars");
+    checkEnum("overflow", CARD_ELEMENT_OVERFLOWS);
+    checkPositiveInteger("maxLines");
+    checkPositiveNumber("height");
+    checkPositiveNumber("thickness");
+    checkEnum("style", CARD_DIVIDER_STYLES);
+    if (element.fit !== undefined) {
+      if (!["field", "text"].includes(element.type)) {
+        fail(
+          "fit",
+          "element_fit_type",
+          {},
+          "'fit' só se aplica a elementos do tipo field ou text."
+        );
+      }
+      validateTextFit(element.fit, (field, ...problem) => fail(`fit.${field}`, ...problem));
+    }
+  });
+  if (!valid) return undefined;
+
+  // Mantém só as propriedades conhecidas (ex.: 'className' é interno)
+  return elements.map((element) => {
+    const {
+      type, field, text, label, fontSize, fontWeight, align, color,
+      maxChars, overflow, maxLines, height, thickness, style,
+    } = element;
+    const fit = element.fit !== undefined ? validateTextFit(element.fit, () => {}) : undefined;
+    return Object.fromEntries(
+      Object.entries({
+        type, field, text, label, fontSize, fontWeight, align, color,
+        maxChars, overflow, maxLines, height, thickness, style, fit,
+      }).filter(([, value]) => value !== undefined)
+    );
+  });
+}
+
+// Executado na página (PDF e preview): aplica os modos de 'fit' medindo o texto
+// no tamanho real do card e deixa em window.__textOverflows o que ainda não coube
+const TEXT_FIT_SCRIPT = `
+(() => {
+  const pxPerMm = 96 / 25.4;
+  const overflows = (element) =>
+    element.scrollWidth > element.clientWidth + 0.5 ||
+    element.scrollHeight > element.clientHeight + 0.5;
+  const results = [];
+  document.querySelectorAll("[data-fit]").forEach((element) => {
+    const mode = element.dataset.fit;
+    if (mode === "shrink") {
+      const minSize = Number(element.dataset.minFont) * pxPerMm;
+      let size = parseFloat(getComputedStyle(element).fontSize);
+      while (overflows(element) && size > minSize) {
+        size = Math.max(minSize, size - 0.1 * pxPerMm);
+        element.style.fontSize = size + "px";
+      }
+    }
+    if (overflows(element)) {
+      results.push({
+        index: Number(element.dataset.material),
+        field: element.dataset.field,
+        mode,
+      });
+    }
+  });
+  window.__textOverflows = results;
+})();
+`;
+
+const CARD_BORDER_WIDTH = 0.6;
+
+function buildHtml({
+  logoDataUrl,
+  layout,
+  pages,
+  mode = "pdf",
+  warnings = [],
+  tenantId = DEFAULT_TENANT_ID,
+  sectionTitle = null,
+  showHeaderLogo = true,
+}) {
+  const {
+    cols,
+    rows,
+    marginTop,
+    marginBottom,
+    marginLeft,
+    marginRight,
+    gapCol,
+    gapRow,
+    rotateCard = 0,
+    cardWidth,
+    cardHeight,
+    cardPadding = 8,
+    cardMarginTop = 4,
+    cardMarginBottom = 4,
+    companyName = "Appsculpt",
+    companyFont = 3.5,
+    nameFont = 4,
+    maxCharsName,
+    codeFont = 3.2,
+    maxCharsCode,
+    qrSize = 32,
+    barcodeHeight = 12,
+    pageWidth = 210,
+    pageHeight = 297,
+    elements,
+    cardTemplateId,
+    emptySlots = "placeholder",
+    nameFit,
+    codeFit,
+    cutMarks = false,
+    cutMarkLength = 3,
+    cutMarkOffset = 1,
+    bleed = 0,
+    cardBackground = "#fff",
+    cardBorder = "solid",
+    calibration,
+  } = layout;
+
+  // Template de card do usuário substitui o conteúdo embutido do card
+  const cardTemplate = cardTemplateId
+    ? tenantRecords(cardTemplates, tenantId).get(cardTemplateId)
+    : null;
+  if (cardTemplateId && !cardTemplate) {
+    throw createHttpError(400, `Template de card '${cardTemplateId}' não encontrado.`);
+  }
+  const cardTemplateCss = cardTemplate
+    ? `.card-template {\n${cardTemplate.css}\n}`
+    : "";
+
+  // Sem 'elements' o card mantém o conteúdo padrão: empresa, códigos, nome e código
+  const cardElements = elements || [
+    { type: "text", text: companyName, className: "company-name" },
+    { type: "code" },
+    {
+      type: "field",
+      field: "nome",
+      maxChars: maxCharsName,
+      fit: nameFit,
+      className: "material-name",
+    },
+    {
+      type: "field",
+      field: "codigo",
+      maxChars: maxCharsCode,
+      fit: codeFit,
+      className: "material-code",
+    },
+  ];
+  const hasTextFit = !cardTemplate && cardElements.some((element) => element.fit);
+
+  // A calibração da impressora desloca e escala a página inteira a partir do canto
+  // superior esquerdo
+  const calibrationCss = calibration
+    ? `transform: translate(${calibration.offsetX}mm, ${calibration.offsetY}mm) scale(${calibration.scaleX}, ${calibration.scaleY});
+      transform-origin: 0 0;`
+    : "";
+  // A sangria estende a cor de fundo do card ('cardBackground') além da linha de
+  // corte; a sombra é desenhada por fora da borda, sem cobri-la
+  const bleedCss =
+    bleed > 0
+      ? `.card-content {
+      box-shadow: 0 0 0 ${bleed}mm ${cardBackground};
+    }`
+      : "";
+  // Marcas de corte nos cantos de cada card, afastadas da linha de corte pela
+  // sangria mais 'cutMarkOffset'
+  const cutMarkGap = bleed + cutMarkOffset;
+  const cutMarksCss = cutMarks
+    ? `.cut-mark {
+      position: absolute;
+      width: 0;
+      height: 0;
+    }
+    .cut-mark.top { top: 0; }
+    .cut-mark.bottom { bottom: 0; }
+    .cut-mark.left { left: 0; }
+    .cut-mark.right { right: 0; }
+    .cut-mark::before,
+    .cut-mark::after {
+      content: "";
+      position: absolute;
+    }
+    .cut-mark::before {
+      width: ${cutMarkLength}mm;
+      top: -0.1mm;
+      border-top: 0.2mm solid #000;
+    }
+    .cut-mark::after {
+      height: ${cutMarkLength}mm;
+      left: -0.1mm;
+      border-left: 0.2mm solid #000;
+    }
+    .cut-mark.left::before { right: ${cutMarkGap}mm; }
+    .cut-mark.right::before { left: ${cutMarkGap}mm; }
+    .cut-mark.top::after { bottom: ${cutMarkGap}mm; }
+    .cut-mark.bottom::after { top: ${cutMarkGap}mm; }`
+    : "";
+  const cutMarksHtml = cutMarks
+    ? ["top left", "top right", "bottom left", "bottom right"]
+        .map((corner) => `<span class="cut-mark ${corner}"></span>`)
+        .join("")
+    : "";
+  // Se o logo vai dentro dos cards, ele deixa de aparecer no cabeçalho da página
+  const hasLogoInCards = cardElements.some((element) => element.type === "logo");
+
+  const isPreview = mode === "preview";
+  const totalCardsPerPage = cols * rows;
+  if (totalCardsPerPage <= 0) {
     throw new Error("Layout inválido: cols * rows deve ser maior que zero.");
   }
 
-  // Quando rotacionado próximo de 90/270 graus, as dimensões do grid precisam ser invertidas
-  // para acomodar o card rotacionado
-  const normalizedRotate = ((rotateCard % 360) + 360) % 360;
-  const isRotated = (normalizedRotate >= 45 && normalizedRotate <= 135) || 
-                    (normalizedRotate >= 225 && normalizedRotate <= 315);
-  const gridColWidth = isRotated ? cardHeight : cardWidth;
-  const gridRowHeight = isRotated ? cardWidth : cardHeight;
+  const { gridColWidth, gridRowHeight } = resolveGridCellSize(layout);
 
   // Calcula altura total do grid baseado nas linhas e gaps
   const gridTotalHeight = rows * gridRowHeight + (rows - 1) * gapRow;
@@ -167,7 +1484,7 @@ function buildHtml({
 
   const css = `
     @page {
-      size: A4;
+      size: ${pageWidth}mm ${pageHeight}mm;
       margin: 0;
     }
     body {
@@ -176,13 +1493,14 @@ function buildHtml({
       color: #111827;
     }
     .page {
-      width: 210mm;
-      height: 297mm;
+      width: ${pageWidth}mm;
+      height: ${pageHeight}mm;
       padding: ${marginTop}mm ${marginRight}mm ${marginBottom}mm ${marginLeft}mm;
       box-sizing: border-box;
       display: flex;
       flex-direction: column;
       position: relative;
+      ${calibrationCss}
     }
     .page + .page {
       page-break-before: always;
@@ -196,15 +1514,31 @@ function buildHtml({
       display: flex;
       align-items: center;
       justify-content: flex-start;
-      min-height: 24mm;
-      margin-bottom: 4mm;
+      height: ${PAGE_HEADER_LOGO_HEIGHT}mm;
+      margin-bottom: ${PAGE_HEADER_LOGO_GAP}mm;
       margin-top: 0;
+      flex-shrink: 0;
     }
     .logo {
       max-height: 22mm;
       max-width: 80mm;
       object-fit: contain;
     }
+    .section-title {
+      position: absolute;
+      top: 0;
+      left: ${marginLeft}mm;
+      right: ${marginRight}mm;
+      height: ${marginTop}mm;
+      display: flex;
+      align-items: center;
+      font-size: 3.5mm;
+      font-weight: 700;
+      color: #0f172a;
+      white-space: nowrap;
+      overflow: hidden;
+      text-overflow: ellipsis;
+    }
     .grid {
       display: grid;
       grid-template-columns: repeat(${cols}, ${gridColWidth}mm);
@@ -238,8 +1572,8 @@ function buildHtml({
       position: relative;
       transform: rotate(${rotateCard}deg);
       transform-origin: center center;
-      background: #fff;
-      border: 0.6mm solid #1f2937;
+      background: ${cardBackground};
+      border: ${cardBorder === "none" ? "none" : `${CARD_BORDER_WIDTH}mm ${cardBorder} #1f2937`};
       border-radius: 1.5mm;
       display: flex;
       flex-direction: column;
@@ -292,6 +1626,81 @@ function buildHtml({
       height: 100%;
       object-fit: contain;
     }
+    .barcode-wrapper {
+      width: 100%;
+      height: ${barcodeHeight}mm;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      flex-shrink: 0;
+    }
+    .barcode-wrapper.square {
+      width: ${qrSize}mm;
+      height: ${qrSize}mm;
+    }
+    .barcode-wrapper img {
+      width: 100%;
+      height: 100%;
+      object-fit: contain;
+    }
+    .card-element {
+      font-size: 3.5mm;
+      color: #0f172a;
+      text-align: center;
+      margin: 0;
+      width: 100%;
+      flex-shrink: 0;
+    }
+    .card-element.overflow-ellipsis {
+      white-space: nowrap;
+      overflow: hidden;
+      text-overflow: ellipsis;
+    }
+    .card-element.overflow-clip {
+      white-space: nowrap;
+      overflow: hidden;
+      text-overflow: clip;
+    }
+    .card-element.overflow-wrap {
+      white-space: normal;
+      overflow-wrap: anywhere;
+      overflow: hidden;
+      display: -webkit-box;
+      -webkit-box-orient: vertical;
+    }
+    .card-logo {
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      flex-shrink: 0;
+    }
+    .card-logo img {
+      max-width: 100%;
+      max-height: 100%;
+      object-fit: contain;
+    }
+    .card-divider {
+      width: 100%;
+      flex-shrink: 0;
+    }
+    [data-fit] {
+      max-width: 100%;
+      overflow: hidden;
+    }
+    ${bleedCss}
+    ${cutMarksCss}
+    [data-fit="truncate"],
+    [data-fit="shrink"][data-max-lines="1"] {
+      white-space: nowrap;
+      text-overflow: ellipsis;
+    }
+    [data-fit="wrap"],
+    [data-fit="shrink"]:not([data-max-lines="1"]) {
+      white-space: normal;
+      overflow-wrap: anywhere;
+      display: -webkit-box;
+      -webkit-box-orient: vertical;
+    }
   `;
 
   const previewCss = isPreview
@@ -318,36 +1727,92 @@ function buildHtml({
     .page + .page {
       page-break-before: always;
     }
+    .preview-warnings {
+      width: 100%;
+      max-width: 210mm;
+      box-sizing: border-box;
+      padding: 12px 16px;
+      background: #fef3c7;
+      color: #92400e;
+      border-radius: 8px;
+      font-size: 14px;
+    }
+    .preview-warnings ul {
+      margin: 8px 0 0;
+      padding-left: 20px;
+    }
   `
     : "";
 
-  // Função para truncar texto
-  const truncateText = (text, maxChars) => {
-    if (!maxChars || maxChars <= 0) return text;
-    if (text.length <= maxChars) return text;
-    return text.substring(0, maxChars) + "...";
-  };
-
   const htmlPages = pages
     .map((materials, pageIndex) => {
       const cardsHtml = materials
         .map((material) => {
-          const { nome, codigo, qrDataUrl } = material;
-          const nomeTruncado = truncateText(nome, maxCharsName);
-          const codigoTruncado = truncateText(codigo, maxCharsCode);
-          return `
+          // Posição já usada da folha (antes de 'startPosition')
+          if (!material) {
+            return `<div class="card"></div>`;
+          }
+
+          const { codeTypes = ["qr"], qrDataUrl, barcodes = [] } = material;
+
+          if (cardTemplate) {
+            const {
+              codeTypes: _codeTypes,
+              barcodes: _barcodes,
+              materialIndex: _materialIndex,
+              ...fields
+            } = material;
+            const context = {
+              ...fields,
+              material: fields,
+              qrDataUrl,
+              barcodes: Object.fromEntries(
+                barcodes.map((barcode) => [barcode.codeType, barcode.dataUrl])
+              ),
+              logoDataUrl,
+              layout: { companyName, cardWidth, cardHeight, qrSize },
+            };
+            return `
             <div class="card">
-              <div class="card-content">
-                <div class="company-name">${escapeHtml(companyName)}</div>
+              ${cutMarksHtml}
+              <div class="card-content card-template">${cardTemplate.compiled(context)}</div>
+            </div>
+          `;
+          }
+
+          const codesHtml = codeTypes
+            .map((codeType) => {
+              if (codeType === "qr") {
+                return `
                 <div class="qr-wrapper">
                   ${
                     qrDataUrl
                       ? `<img src="${qrDataUrl}" alt="QR Code">`
                       : `<div style="font-size:3mm;color:#9ca3af;">QR indisponível</div>`
                   }
-                </div>
-                <div class="material-name">${escapeHtml(nomeTruncado)}</div>
-                <div class="material-code">${escapeHtml(codigoTruncado)}</div>
+                </div>`;
+              }
+              const barcode = barcodes.find((item) => item.codeType === codeType);
+              const squareClass = SQUARE_CODE_TYPES.includes(codeType) ? " square" : "";
+              return `
+                <div class="barcode-wrapper${squareClass}">
+                  ${
+                    barcode && barcode.dataUrl
+                      ? `<img src="${barcode.dataUrl}" alt="${codeType}">`
+                      : `<div style="font-size:3mm;color:#9ca3af;">Código indisponível</div>`
+                  }
+                </div>`;
+            })
+            .join("");
+          return `
+            <div class="card">
+              ${cutMarksHtml}
+              <div class="card-content">
+                ${cardElements
+                  .map((element) =>
+                    renderCardElement(element, { material, codesHtml, logoDataUrl })
+                  )
+                  .join("")}
               </div>
             </div>
           `;
@@ -358,8 +1823,10 @@ function buildHtml({
       const placeholders =
         placeholderCount > 0
           ? Array.from({ length: placeholderCount })
-              .map(
-                () => `
+              .map(() =>
+                emptySlots === "blank"
+                  ? `<div class="card"></div>`
+                  : `
               <div class="card">
                 <div class="card-content" style="justify-content:center;">
                   <div style="font-size:3mm;color:#d1d5db;">Vago</div>
@@ -373,7 +1840,17 @@ function buildHtml({
       return `
         <section class="page">
           ${
-            pageIndex === 0 && logoDataUrl
+            // O título da seção ocupa a margem superior, sem deslocar o grid
+            sectionTitle && mode !== "raster"
+              ? `<h2 class="section-title">${escapeHtml(sectionTitle)}</h2>`
+              : ""
+          }
+          ${
+            showHeaderLogo &&
+            pageIndex === 0 &&
+            logoDataUrl &&
+            !hasLogoInCards &&
+            mode !== "raster"
               ? `
                   <header class="page-header has-logo">
                     <img class="logo" src="${logoDataUrl}" alt="Logo">
@@ -390,9 +1867,32 @@ function buildHtml({
     })
     .join("");
 
+  // Só no preview: lista as imagens que não puderam ser carregadas
+  const warningsHtml =
+    isPreview && warnings.length > 0
+      ? `
+        <aside class="preview-warnings">
+          <strong>${warnings.length} imagem(ns) não carregada(s):</strong>
+          <ul>
+            ${warnings
+              .map(
+                (warning) =>
+                  `<li>${
+                    warning.source === "logo"
+                      ? "Logo"
+                      : `Material ${warning.index} (${escapeHtml(String(warning.codigo))})`
+                  }: ${escapeHtml(warning.message)}</li>`
+              )
+              .join("")}
+          </ul>
+        </aside>
+      `
+      : "";
+
   const bodyContent = isPreview
-    ? `<main class="document">${htmlPages}</main>`
+    ? `<main class="document">${warningsHtml}${htmlPages}</main>`
     : htmlPages;
+  const fitScript = hasTextFit ? `<script>${TEXT_FIT_SCRIPT}</script>` : "";
 
   return `
     <!DOCTYPE html>
@@ -402,25 +1902,28 @@ function buildHtml({
         <meta http-equiv="X-UA-Compatible" content="IE=edge" />
         <meta name="viewport" content="width=device-width, initial-scale=1.0" />
         <title>Cards de Materiais</title>
+        ${
+          cardTemplate
+            ? `<meta http-equiv="Content-Security-Policy" content="default-src 'none'; img-src data:; font-src data:; style-src 'unsafe-inline'">`
+            : ""
+        }
         <style>
           ${css}
           ${previewCss}
+          ${cardTemplateCss}
         </style>
       </head>
       <body>
         ${bodyContent}
+        ${fitScript}
       </body>
     </html>
   `;
 }
 
-async function generatePdf({
-  html,
-  outputPath,
-}) {
-  let browser;
+async function launchBrowser() {
   try {
-    browser = await puppeteer.launch({
+    return await puppeteer.launch({
       headless: "new",
       args: [
         "--no-sandbox",
@@ -429,444 +1932,5250 @@ async function generatePdf({
         "--disable-accelerated-2d-canvas",
         "--no-first-run",
         "--no-zygote",
-        "--single-process",
         "--disable-gpu",
         "--font-render-hinting=medium",
       ],
       timeout: 30000, // 30 segundos de timeout
     });
   } catch (error) {
-    console.error("❌ Erro ao iniciar Puppeteer:", error);
+    logger.error("Erro ao iniciar Puppeteer", { scope: "BrowserPool", error });
     throw new Error(`Falha ao iniciar navegador: ${error.message}`);
   }
+}
 
-  try {
-    const page = await browser.newPage();
-    await page.setContent(html, {
-      waitUntil: ["load", "networkidle0"],
-      timeout: 30000,
-    });
-    await page.emulateMediaType("print");
-    await page.pdf({
-      path: outputPath,
-      format: "A4",
-      printBackground: true,
-      preferCSSPageSize: true,
-      timeout: 30000,
-    });
-  } catch (error) {
-    console.error("❌ Erro ao gerar PDF:", error);
-    throw error;
-  } finally {
+function withTimeout(promise, ms, message) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(message)), ms);
+    }),
+  ]).finally(() => clearTimeout(timer));
+}
+
+// Pool de navegadores aquecidos: cada slot mantém um navegador e uma página
+// reutilizável. Requisições excedentes aguardam numa fila limitada; quando ela
+// enche, 'run' rejeita com 429 e 'retryAfter' (segundos).
+function createBrowserPool({ size, maxQueue, queueTimeout, maxRenders }) {
+  const slots = Array.from({ length: size }, (_value, id) => ({
+    id,
+    browser: null,
+    page: null,
+    busy: false,
+    renders: 0,
+  }));
+  const queue = [];
+  const stats = {
+    completed: 0,
+    failed: 0,
+    rejected: 0,
+    recycled: 0,
+    totalRenderMs: 0,
+  };
+  let closing = false;
+  let healthTimer = null;
+
+  async function closeSlot(slot) {
+    const { browser } = slot;
+    slot.browser = null;
+    slot.page = null;
+    slot.renders = 0;
     if (browser) {
       await browser.close().catch((err) => {
-        console.error("⚠️ Erro ao fechar navegador:", err);
+        logger.error("Erro ao fechar navegador", { scope: "BrowserPool", error: err });
       });
     }
   }
-}
 
-function resolveBaseUrl(req) {
-  if (BASE_URL) return BASE_URL;
-  const host = req.get("host");
-  const protocol = req.protocol;
-  return `${protocol}://${host}`;
-}
+  async function recycleSlot(slot, reason) {
+    logger.warn("Reciclando navegador", { scope: "BrowserPool", slot: slot.id, reason });
+    stats.recycled += 1;
+    await closeSlot(slot);
+  }
 
-function validatePayload(body) {
-  if (!body || typeof body !== "object") {
-    throw new Error("Payload JSON inválido.");
+  async function ensureSlotReady(slot) {
+    if (!slot.browser || !slot.browser.isConnected()) {
+      const browser = await launchBrowser();
+      browser.on("disconnected", () => {
+        if (slot.browser === browser) {
+          logger.warn("Navegador desconectado", { scope: "BrowserPool", slot: slot.id });
+          slot.browser = null;
+          slot.page = null;
+          slot.renders = 0;
+        }
+      });
+      slot.browser = browser;
+      slot.page = null;
+      slot.renders = 0;
+    }
+    if (!slot.page || slot.page.isClosed()) {
+      const page = await slot.browser.newPage();
+      // Todas as imagens chegam embutidas como data URL; qualquer outra
+      // requisição de rede durante a renderização é bloqueada
+      await page.setRequestInterception(true);
+      page.on("request", (request) => {
+        const url = request.url();
+        if (url.startsWith("data:") || url.startsWith("about:")) {
+          request.continue();
+        } else {
+          request.abort("blockedbyclient");
+        }
+      });
+      slot.page = page;
+    }
+    return slot.page;
   }
 
-  const { logoUrl, layout, materials } = body;
+  function averageRenderMs() {
+    return stats.completed > 0 ? stats.totalRenderMs / stats.completed : 5000;
+  }
 
-  if (!layout || typeof layout !== "object") {
-    throw new Error("Campo 'layout' é obrigatório.");
+  function estimateRetryAfter() {
+    const waves = Math.ceil((queue.length + 1) / size);
+    return Math.max(1, Math.ceil((waves * averageRenderMs()) / 1000));
   }
 
-  const {
-    cols,
-    rows,
-    marginTop,
-    marginBottom,
-    marginLeft,
-    marginRight,
-    gapCol,
-    gapRow,
-    rotateCard,
-    cardWidth,
-    cardHeight,
-    cardPadding,
-    cardMarginTop,
-    cardMarginBottom,
-    companyName,
-    companyFont,
-    nameFont,
-    maxCharsName,
-    codeFont,
-    maxCharsCode,
-    qrSize,
-  } = layout;
+  // Jobs em segundo plano ('background') não contam contra o limite da fila nem
+  // expiram: eles esperam a vez em vez de receber 429. A quantidade deles é
+  // limitada na criação (PDF_JOBS_MAX)
+  function acquireSlot({ background = false } = {}) {
+    if (closing) {
+      return Promise.reject(
+        createHttpError(503, "Servidor em desligamento, tente novamente.")
+      );
+    }
 
-  const requiredLayoutFields = [
-    ["cols", cols],
-    ["rows", rows],
-    ["marginTop", marginTop],
-    ["marginBottom", marginBottom],
-    ["marginLeft", marginLeft],
-    ["marginRight", marginRight],
-    ["gapCol", gapCol],
-    ["gapRow", gapRow],
-    ["cardWidth", cardWidth],
-    ["cardHeight", cardHeight],
-  ];
+    const freeSlot = slots.find((slot) => !slot.busy);
+    if (freeSlot) {
+      freeSlot.busy = true;
+      return Promise.resolve(freeSlot);
+    }
 
-  requiredLayoutFields.forEach(([key, value]) => {
-    if (typeof value !== "number" || Number.isNaN(value)) {
-      throw new Error(`Campo de layout '${key}' deve ser numérico.`);
+    if (!background && queue.length >= maxQueue) {
+      stats.rejected += 1;
+      const error = createHttpError(
+        429,
+        "Fila de geração de PDF cheia, tente novamente em instantes."
+      );
+      error.retryAfter = estimateRetryAfter();
+      return Promise.reject(error);
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject };
+      if (background) {
+        queue.push(waiter);
+        return;
+      }
+      waiter.timer = setTimeout(() => {
+        const index = queue.indexOf(waiter);
+        if (index !== -1) queue.splice(index, 1);
+        const error = createHttpError(
+          503,
+          "Tempo de espera na fila de geração de PDF esgotado."
+        );
+        error.retryAfter = estimateRetryAfter();
+        reject(error);
+      }, queueTimeout);
+      queue.push(waiter);
+    });
+  }
+
+  function releaseSlot(slot) {
+    const waiter = queue.shift();
+    if (waiter) {
+      clearTimeout(waiter.timer);
+      waiter.resolve(slot);
+      return;
+    }
+    slot.busy = false;
+  }
+
+  async function run(task, options) {
+    const slot = await acquireSlot(options);
+    const startedAt = Date.now();
+    try {
+      const page = await ensureSlotReady(slot);
+      const result = await task(page);
+      stats.completed += 1;
+      stats.totalRenderMs += Date.now() - startedAt;
+      slot.renders += 1;
+      // Limpa o estado da página para a próxima renderização
+      await page.goto("about:blank").catch(() => {});
+      if (slot.renders >= maxRenders) {
+        await recycleSlot(slot, `limite de ${maxRenders} renderizações`);
+      }
+      return result;
+    } catch (error) {
+      stats.failed += 1;
+      await recycleSlot(slot, `falha na renderização (${error.message})`);
+      throw error;
+    } finally {
+      releaseSlot(slot);
+    }
+  }
+
+  async function checkHealth() {
+    const idleSlots = slots.filter((slot) => !slot.busy && slot.browser);
+    for (const slot of idleSlots) {
+      try {
+        await withTimeout(slot.browser.version(), 5000, "sem resposta");
+      } catch (error) {
+        await recycleSlot(slot, `health-check falhou (${error.message})`);
+      }
+    }
+  }
+
+  async function warmUp() {
+    await Promise.all(
+      slots.map(async (slot) => {
+        slot.busy = true;
+        try {
+          await ensureSlotReady(slot);
+        } catch (error) {
+          logger.error("Falha ao aquecer navegador", {
+            scope: "BrowserPool",
+            slot: slot.id,
+            error: error.message,
+          });
+        } finally {
+          releaseSlot(slot);
+        }
+      })
+    );
+    healthTimer = setInterval(() => {
+      checkHealth().catch((error) => {
+        logger.error("Erro no health-check", { scope: "BrowserPool", error: error.message });
+      });
+    }, PDF_POOL_HEALTH_INTERVAL);
+    healthTimer.unref();
+  }
+
+  async function shutdown({ timeout = 30000 } = {}) {
+    closing = true;
+    clearInterval(healthTimer);
+    queue.splice(0).forEach((waiter) => {
+      clearTimeout(waiter.timer);
+      waiter.reject(createHttpError(503, "Servidor em desligamento."));
+    });
+
+    const deadline = Date.now() + timeout;
+    while (slots.some((slot) => slot.busy) && Date.now() < deadline) {
+      await new Promise((resolve) => setTimeout(resolve, 200));
     }
+    await Promise.all(slots.map((slot) => closeSlot(slot)));
+  }
+
+  function getStats() {
+    return {
+      size,
+      alive: slots.filter((slot) => slot.browser && slot.browser.isConnected()).length,
+      busy: slots.filter((slot) => slot.busy).length,
+      queued: queue.length,
+      maxQueue,
+      completed: stats.completed,
+      failed: stats.failed,
+      rejected: stats.rejected,
+      recycled: stats.recycled,
+      averageRenderMs: Math.round(averageRenderMs()),
+      closing,
+    };
+  }
+
+  return { run, warmUp, shutdown, getStats };
+}
+
+const browserPool = createBrowserPool({
+  size: PDF_POOL_SIZE,
+  maxQueue: PDF_QUEUE_MAX,
+  queueTimeout: PDF_QUEUE_TIMEOUT,
+  maxRenders: PDF_POOL_MAX_RENDERS,
+});
+
+// Sem 'outputPath' o PDF não é gravado em disco; o buffer é sempre retornado.
+// 'onTextOverflow' recebe os textos que não couberam mesmo após o ajuste ('fit').
+async function generatePdf({
+  html,
+  outputPath,
+  pageWidth = 210,
+  pageHeight = 297,
+  sandbox = false,
+  background = false,
+  onTextOverflow = () => {},
+}) {
+  try {
+    return await browserPool.run(
+      async (page) => {
+        // Templates de card enviados por usuários são renderizados sem JavaScript
+        await page.setJavaScriptEnabled(!sandbox);
+        await page.setContent(html, {
+          waitUntil: ["load", "networkidle0"],
+          timeout: 30000,
+        });
+        await page.emulateMediaType("print");
+        if (!sandbox) {
+          onTextOverflow(await page.evaluate(() => window.__textOverflows || []));
+        }
+        return page.pdf({
+          path: outputPath,
+          width: `${pageWidth}mm`,
+          height: `${pageHeight}mm`,
+          printBackground: true,
+          preferCSSPageSize: true,
+          timeout: 30000,
+        });
+      },
+      { background }
+    );
+  } catch (error) {
+    logger.error("Erro ao gerar PDF", { scope: "generatePdf", error });
+    throw error;
+  }
+}
+
+// Armazenamento dos PDFs gerados e de seus registros. O driver local grava nos
+// diretórios de cada tenant; o S3 permite várias réplicas e sobrevive a redeploys.
+function createLocalStorage() {
+  const pdfPath = (tenantId, fileName) =>
+    path.join(resolveTenantDirs(tenantId).cardsDir, fileName);
+  const recordPath = (tenantId, id) =>
+    path.join(resolveTenantDirs(tenantId).filesDir, `${id}.json`);
+  const ignoreMissing = (error) => {
+    if (error.code !== "ENOENT") throw error;
+  };
+
+  return {
+    name: "local",
+    async putPdf(tenantId, fileName, buffer) {
+      await ensureDirectories(tenantId);
+      await fsPromises.writeFile(pdfPath(tenantId, fileName), buffer);
+    },
+    async getPdf(tenantId, fileName) {
+      const filePath = pdfPath(tenantId, fileName);
+      try {
+        const { size } = await fsPromises.stat(filePath);
+        return { size, stream: fs.createReadStream(filePath) };
+      } catch (error) {
+        if (error.code === "ENOENT") return null;
+        throw error;
+      }
+    },
+    async hasPdf(tenantId, fileName) {
+      return fs.existsSync(pdfPath(tenantId, fileName));
+    },
+    async deletePdf(tenantId, fileName) {
+      await fsPromises.unlink(pdfPath(tenantId, fileName)).catch(ignoreMissing);
+    },
+    async listPdfs(tenantId) {
+      const { cardsDir } = resolveTenantDirs(tenantId);
+      const fileNames = await fsPromises.readdir(cardsDir).catch((error) => {
+        ignoreMissing(error);
+        return [];
+      });
+      const files = [];
+      for (const fileName of fileNames.filter((name) => name.endsWith(".pdf"))) {
+        try {
+          const { mtimeMs } = await fsPromises.stat(path.join(cardsDir, fileName));
+          files.push({ fileName, modifiedAt: mtimeMs });
+        } catch (error) {
+          ignoreMissing(error);
+        }
+      }
+      return files;
+    },
+    async writeRecord(record) {
+      await writeJsonFile(recordPath(record.tenant, record.id), record);
+    },
+    async readRecord(tenantId, id) {
+      try {
+        return JSON.parse(await fsPromises.readFile(recordPath(tenantId, id), "utf8"));
+      } catch (error) {
+        if (error.code === "ENOENT") return null;
+        throw error;
+      }
+    },
+    async listRecords(tenantId) {
+      return readJsonDirectory(resolveTenantDirs(tenantId).filesDir, "Storage");
+    },
+    async deleteRecord(tenantId, id) {
+      await fsPromises.unlink(recordPath(tenantId, id)).catch(ignoreMissing);
+    },
+    // Sem URL assinada no disco local; o download passa pelo servidor
+    async getPresignedUrl() {
+      return null;
+    },
+  };
+}
+
+// Compatível com AWS S3, MinIO, R2 etc. Objetos ficam em
+// "<prefixo><tenant>/cards/<arquivo>.pdf" e "<prefixo><tenant>/files/<id>.json".
+function createS3Storage({
+  bucket,
+  region,
+  endpoint,
+  accessKeyId,
+  secretAccessKey,
+  forcePathStyle,
+  prefix = "",
+}) {
+  const client = new S3Client({
+    region,
+    endpoint,
+    forcePathStyle,
+    // Sem chaves explícitas, vale a cadeia padrão de credenciais da AWS
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined,
   });
+  const pdfKey = (tenantId, fileName) => `${prefix}${tenantId}/cards/${fileName}`;
+  const recordKey = (tenantId, id) => `${prefix}${tenantId}/files/${id}.json`;
+  const isNotFound = (error) =>
+    error.name === "NoSuchKey" ||
+    error.name === "NotFound" ||
+    error.$metadata?.httpStatusCode === 404;
+
+  async function listObjects(keyPrefix) {
+    const objects = [];
+    let continuationToken;
+    do {
+      const response = await client.send(
+        new ListObjectsV2Command({
+          Bucket: bucket,
+          Prefix: keyPrefix,
+          ContinuationToken: continuationToken,
+        })
+      );
+      objects.push(...(response.Contents || []));
+      continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+    } while (continuationToken);
+    return objects;
+  }
+
+  async function deleteObject(key) {
+    await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+  }
 
-  if (!Array.isArray(materials) || materials.length === 0) {
-    throw new Error("Lista de materiais deve ser um array com pelo menos um item.");
+  async function readRecordObject(key) {
+    try {
+      const response = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+      return JSON.parse(await response.Body.transformToString());
+    } catch (error) {
+      if (isNotFound(error)) return null;
+      throw error;
+    }
   }
 
-  materials.forEach((material, index) => {
-    if (!material.nome || !material.codigo) {
-      throw new Error(
-        `Material na posição ${index} precisa de 'nome' e 'codigo'.`
+  return {
+    name: "s3",
+    async putPdf(tenantId, fileName, buffer) {
+      await client.send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: pdfKey(tenantId, fileName),
+          Body: buffer,
+          ContentType: "application/pdf",
+        })
+      );
+    },
+    async getPdf(tenantId, fileName) {
+      try {
+        const response = await client.send(
+          new GetObjectCommand({ Bucket: bucket, Key: pdfKey(tenantId, fileName) })
+        );
+        return { size: response.ContentLength, stream: response.Body };
+      } catch (error) {
+        if (isNotFound(error)) return null;
+        throw error;
+      }
+    },
+    async hasPdf(tenantId, fileName) {
+      try {
+        await client.send(
+          new HeadObjectCommand({ Bucket: bucket, Key: pdfKey(tenantId, fileName) })
+        );
+        return true;
+      } catch (error) {
+        if (isNotFound(error)) return false;
+        throw error;
+      }
+    },
+    async deletePdf(tenantId, fileName) {
+      await deleteObject(pdfKey(tenantId, fileName));
+    },
+    async listPdfs(tenantId) {
+      const keyPrefix = pdfKey(tenantId, "");
+      return (await listObjects(keyPrefix))
+        .filter((object) => object.Key.endsWith(".pdf"))
+        .map((object) => ({
+          fileName: object.Key.slice(keyPrefix.length),
+          modifiedAt: new Date(object.LastModified).getTime(),
+        }));
+    },
+    async writeRecord(record) {
+      await client.send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: recordKey(record.tenant, record.id),
+          Body: JSON.stringify(record, null, 2),
+          ContentType: "application/json",
+        })
+      );
+    },
+    async readRecord(tenantId, id) {
+      return readRecordObject(recordKey(tenantId, id));
+    },
+    async listRecords(tenantId) {
+      const records = [];
+      for (const object of await listObjects(`${prefix}${tenantId}/files/`)) {
+        try {
+          const record = await readRecordObject(object.Key);
+          if (record) records.push(record);
+        } catch (error) {
+          logger.error("Falha ao carregar registro", {
+            scope: "Storage",
+            key: object.Key,
+            error: error.message,
+          });
+        }
+      }
+      return records;
+    },
+    async deleteRecord(tenantId, id) {
+      await deleteObject(recordKey(tenantId, id));
+    },
+    async getPresignedUrl(tenantId, fileName, expiresIn) {
+      return getSignedUrl(
+        client,
+        new GetObjectCommand({
+          Bucket: bucket,
+          Key: pdfKey(tenantId, fileName),
+          ResponseContentType: "application/pdf",
+        }),
+        { expiresIn }
       );
+    },
+  };
+}
+
+function createFileStorage(driver) {
+  if (driver === "local") {
+    return createLocalStorage();
+  }
+  if (driver === "s3") {
+    if (!S3_BUCKET) {
+      throw new Error("STORAGE_DRIVER=s3 requer S3_BUCKET configurado.");
     }
+    return createS3Storage({
+      bucket: S3_BUCKET,
+      region: S3_REGION,
+      endpoint: S3_ENDPOINT,
+      accessKeyId: S3_ACCESS_KEY_ID,
+      secretAccessKey: S3_SECRET_ACCESS_KEY,
+      forcePathStyle: S3_FORCE_PATH_STYLE,
+      prefix: S3_PREFIX,
+    });
+  }
+  throw new Error(`STORAGE_DRIVER inválido: ${driver}. Use 'local' ou 's3'.`);
+}
+
+const fileStorage = createFileStorage(STORAGE_DRIVER);
+
+// Pipeline comum a /gerar-pdf e /jobs: prepara os códigos e renderiza as páginas
+// em partes de PDF_PAGES_PER_RENDER, devolvendo o PDF final em memória.
+// 'onProgress' recebe o objeto de progresso a cada material preparado e parte renderizada.
+// Ponto de entrada das renderizações de PDF; mede duração, páginas e cards
+async function renderPdfBuffer(options) {
+  const { payload } = options;
+  const endTimer = pdfRenderDuration.startTimer();
+  try {
+    const result = payload.sections
+      ? await renderSectionsPdfBuffer(options)
+      : await renderCardsPdfBuffer(options);
+    endTimer({ status: "ok" });
+    pdfPages.observe(result.pageCount);
+    pdfCards.observe(
+      payload.materials.reduce((sum, material) => sum + Number(material.quantidade || 1), 0)
+    );
+    return result;
+  } catch (error) {
+    endTimer({ status: "error" });
+    throw error;
+  }
+}
+
+// 'payload.showHeaderLogo' = false omite o cabeçalho com o logo (seções após a
+// primeira ou com capa); elementos 'logo' dos cards são impressos mesmo assim
+async function renderCardsPdfBuffer({ payload, onProgress = () => {}, background = false }) {
+  const { tenantId, layout, materials, sectionTitle, showHeaderLogo = true } = payload;
+
+  const cardsPerPage = layout.cols * layout.rows;
+  const progress = {
+    materialsTotal: materials.length,
+    qrImagesFetched: 0,
+    pagesTotal: Math.ceil(expandCardSlots(materials, layout).length / cardsPerPage),
+    pagesRendered: 0,
+  };
+  onProgress(progress);
+
+  const { logoDataUrl, pages, warnings } = await prepareRenderData(payload, {
+    onMaterialPrepared: () => {
+      progress.qrImagesFetched += 1;
+      onProgress(progress);
+    },
   });
 
-  if (rotateCard !== undefined && typeof rotateCard !== "number") {
-    throw new Error("Campo 'rotateCard' deve ser numérico.");
+  const pageGroups = chunkArray(pages, PDF_PAGES_PER_RENDER);
+
+  // Cópias do mesmo material aparecem uma vez só no relatório
+  const textOverflows = new Map();
+  const onTextOverflow = (items) => {
+    items.forEach((item) => {
+      textOverflows.set(`${item.index}:${item.field}`, {
+        ...item,
+        codigo: materials[item.index] ? materials[item.index].codigo : undefined,
+      });
+    });
+  };
+
+  let pdfBuffer;
+  if (pageGroups.length === 1) {
+    pdfBuffer = await generatePdf({
+      html: buildHtml({ logoDataUrl, layout, pages, tenantId, sectionTitle, showHeaderLogo }),
+      pageWidth: layout.pageWidth,
+      pageHeight: layout.pageHeight,
+      sandbox: Boolean(layout.cardTemplateId),
+      background,
+      onTextOverflow,
+    });
+    progress.pagesRendered = pages.length;
+    onProgress(progress);
+  } else {
+    const merged = await PDFDocument.create();
+    for (const [groupIndex, groupPages] of pageGroups.entries()) {
+      const buffer = await generatePdf({
+        html: buildHtml({
+          // O cabeçalho com o logo só aparece na primeira página do documento;
+          // elementos 'logo' dos cards continuam em todas
+          logoDataUrl,
+          showHeaderLogo: showHeaderLogo && groupIndex === 0,
+          layout,
+          pages: groupPages,
+          tenantId,
+          sectionTitle,
+        }),
+        pageWidth: layout.pageWidth,
+        pageHeight: layout.pageHeight,
+        sandbox: Boolean(layout.cardTemplateId),
+        background,
+        onTextOverflow,
+      });
+      const partial = await PDFDocument.load(buffer);
+      const copiedPages = await merged.copyPages(partial, partial.getPageIndices());
+      copiedPages.forEach((page) => merged.addPage(page));
+      progress.pagesRendered += groupPages.length;
+      onProgress(progress);
+    }
+    pdfBuffer = await merged.save();
   }
 
   return {
-    logoUrl,
-    layout: {
-      cols,
-      rows,
-      marginTop,
-      marginBottom,
-      marginLeft,
-      marginRight,
-      gapCol,
-      gapRow,
-      rotateCard: rotateCard || 0,
-      cardWidth,
-      cardHeight,
-      cardPadding: cardPadding !== undefined ? cardPadding : 8,
-      cardMarginTop: cardMarginTop !== undefined ? cardMarginTop : 4,
-      cardMarginBottom: cardMarginBottom !== undefined ? cardMarginBottom : 4,
-      companyName: companyName !== undefined ? companyName : "Appsculpt",
-      companyFont: companyFont !== undefined ? companyFont : 3.5,
-      nameFont: nameFont !== undefined ? nameFont : 4,
-      maxCharsName: maxCharsName !== undefined ? maxCharsName : undefined,
-      codeFont: codeFont !== undefined ? codeFont : 3.2,
-      maxCharsCode: maxCharsCode !== undefined ? maxCharsCode : undefined,
-      qrSize: qrSize !== undefined ? qrSize : 32,
-    },
-    materials,
+    pdfBuffer,
+    warnings,
+    textOverflows: Array.from(textOverflows.values()).sort((a, b) => a.index - b.index),
+    pageCount: pages.length,
   };
 }
 
-const app = express();
-app.set("trust proxy", true);
-app.use(
-  cors({
-    origin: true, // Permite todas as origens (incluindo localhost e 127.0.0.1)
-    credentials: true,
-  })
-);
-app.use(express.json({ limit: "10mb" }));
-app.use(morgan("combined"));
+// Lote com várias seções: cada uma é renderizada com o próprio layout e as páginas
+// são reunidas num só PDF, com capa opcional e uma entrada no sumário por seção
+async function renderSectionsPdfBuffer({ payload, onProgress = () => {}, background = false }) {
+  const { sections, cover, logoUrl, tenantId } = payload;
+
+  const sectionPageCounts = sections.map(({ layout, materials }) =>
+    Math.ceil(expandCardSlots(materials, layout).length / (layout.cols * layout.rows))
+  );
+  const progress = {
+    materialsTotal: payload.materials.length,
+    qrImagesFetched: 0,
+    pagesTotal: sectionPageCounts.reduce((sum, count) => sum + count, cover ? 1 : 0),
+    pagesRendered: 0,
+  };
+  onProgress(progress);
+
+  const merged = await PDFDocument.create();
+  const warnings = [];
+  const textOverflows = [];
+  const summary = [];
+  for (const [sectionIndex, section] of sections.entries()) {
+    const done = { ...progress };
+    const result = await renderCardsPdfBuffer({
+      payload: {
+        ...payload,
+        layout: section.layout,
+        materials: section.materials,
+        sectionTitle: section.title,
+        // O cabeçalho com o logo vai na capa ou, sem ela, na primeira página do
+        // documento; o logo continua disponível para os elementos dos cards
+        showHeaderLogo: sectionIndex === 0 && !cover,
+      },
+      onProgress: (sectionProgress) => {
+        progress.qrImagesFetched = done.qrImagesFetched + sectionProgress.qrImagesFetched;
+        progress.pagesRendered = done.pagesRendered + sectionProgress.pagesRendered;
+        onProgress(progress);
+      },
+      background,
+    });
+
+    const partial = await PDFDocument.load(result.pdfBuffer);
+    const copiedPages = await merged.copyPages(partial, partial.getPageIndices());
+    summary.push({
+      title: section.title,
+      pageIndex: merged.getPageCount(),
+      pages: copiedPages.length,
+      materials: section.materials.length,
+      cards: section.materials.reduce(
+        (sum, material) => sum + Number(material.quantidade || 1),
+        0
+      ),
+    });
+    copiedPages.forEach((page) => merged.addPage(page));
+    // O logo é o mesmo em todas as seções: a falha ao baixá-lo entra uma vez só
+    const hasLogoWarning = warnings.some((warning) => warning.source === "logo");
+    warnings.push(
+      ...result.warnings
+        .filter((warning) => warning.source !== "logo" || !hasLogoWarning)
+        .map((warning) => ({ section: sectionIndex, ...warning }))
+    );
+    textOverflows.push(...result.textOverflows.map((item) => ({ section: sectionIndex, ...item })));
+  }
+
+  const outline = summary.map(({ title, pageIndex }) => ({ title, pageIndex }));
+  if (cover) {
+    const logoDataUrl = await fetchImageAsDataUrl(logoUrl, (failure) => {
+      if (!warnings.some((warning) => warning.source === "logo")) {
+        warnings.unshift({ source: "logo", ...failure });
+      }
+    });
+    const { layout } = sections[0];
+    const coverBuffer = await generatePdf({
+      html: buildCoverHtml({
+        cover,
+        logoDataUrl,
+        layout,
+        sections: summary.map((entry) => ({ ...entry, pageIndex: entry.pageIndex + 1 })),
+      }),
+      pageWidth: layout.pageWidth,
+      pageHeight: layout.pageHeight,
+      background,
+    });
+    const coverDocument = await PDFDocument.load(coverBuffer);
+    const [coverPage] = await merged.copyPages(coverDocument, [0]);
+    merged.insertPage(0, coverPage);
+    outline.forEach((entry) => {
+      entry.pageIndex += 1;
+    });
+    outline.unshift({ title: cover.title, pageIndex: 0 });
+    progress.pagesRendered += 1;
+    onProgress(progress);
+  }
+
+  addPdfOutline(merged, outline);
+  merged.setTitle(cover ? cover.title : sections[0].title);
+  logger.info("PDF com seções montado", {
+    scope: "Seções",
+    tenantId,
+    sections: sections.length,
+    pages: merged.getPageCount(),
+  });
+
+  return {
+    pdfBuffer: await merged.save(),
+    warnings,
+    textOverflows,
+    pageCount: merged.getPageCount(),
+  };
+}
+
+// Capa do lote: título, data de geração e contagem de materiais/cards por seção
+function buildCoverHtml({ cover, logoDataUrl, layout, sections }) {
+  const { pageWidth = 210, pageHeight = 297 } = layout;
+  const totals = sections.reduce(
+    (sum, section) => ({
+      materials: sum.materials + section.materials,
+      cards: sum.cards + section.cards,
+    }),
+    { materials: 0, cards: 0 }
+  );
+  const rows = sections
+    .map(
+      (section) => `
+        <tr>
+          <td>${escapeHtml(section.title)}</td>
+          <td class="number">${section.materials}</td>
+          <td class="number">${section.cards}</td>
+          <td class="number">${section.pageIndex + 1}</td>
+        </tr>
+      `
+    )
+    .join("");
+
+  return `
+    <!DOCTYPE html>
+    <html lang="pt-BR">
+      <head>
+        <meta charset="UTF-8" />
+        <title>${escapeHtml(cover.title)}</title>
+        <style>
+          @page {
+            size: ${pageWidth}mm ${pageHeight}mm;
+            margin: 0;
+          }
+          body {
+            margin: 0;
+            font-family: "Helvetica Neue", Arial, sans-serif;
+            color: #111827;
+          }
+          .cover {
+            width: ${pageWidth}mm;
+            height: ${pageHeight}mm;
+            padding: 20mm;
+            box-sizing: border-box;
+            overflow: hidden;
+          }
+          .logo {
+            max-height: 22mm;
+            max-width: 80mm;
+            object-fit: contain;
+            margin-bottom: 8mm;
+          }
+          h1 {
+            font-size: 9mm;
+            margin: 0 0 2mm;
+            color: #0f172a;
+          }
+          .subtitle {
+            font-size: 4.5mm;
+            color: #475569;
+            margin: 0 0 2mm;
+          }
+          .generated-at {
+            font-size: 3.2mm;
+            color: #64748b;
+            margin: 0 0 10mm;
+          }
+          table {
+            width: 100%;
+            border-collapse: collapse;
+            font-size: 3.6mm;
+          }
+          th,
+          td {
+            padding: 2mm 1.5mm;
+            border-bottom: 0.2mm solid #cbd5e1;
+            text-align: left;
+          }
+          th {
+            color: #475569;
+            font-weight: 600;
+          }
+          .number {
+            text-align: right;
+          }
+          tfoot td {
+            font-weight: 700;
+            border-bottom: none;
+          }
+        </style>
+      </head>
+      <body>
+        <section class="cover">
+          ${logoDataUrl ? `<img class="logo" src="${logoDataUrl}" alt="Logo">` : ""}
+          <h1>${escapeHtml(cover.title)}</h1>
+          ${cover.subtitle ? `<p class="subtitle">${escapeHtml(cover.subtitle)}</p>` : ""}
+          <p class="generated-at">Gerado em ${escapeHtml(new Date().toLocaleString("pt-BR"))}</p>
+          <table>
+            <thead>
+              <tr>
+                <th>Seção</th>
+                <th class="number">Materiais</th>
+                <th class="number">Cards</th>
+                <th class="number">Página</th>
+              </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+            <tfoot>
+              <tr>
+                <td>Total</td>
+                <td class="number">${totals.materials}</td>
+                <td class="number">${totals.cards}</td>
+                <td></td>
+              </tr>
+            </tfoot>
+          </table>
+        </section>
+      </body>
+    </html>
+  `;
+}
+
+// O pdf-lib não tem API de sumário: monta o dicionário /Outlines com uma entrada
+// por item, cada uma apontando para a página inicial ('pageIndex', base 0)
+function addPdfOutline(pdfDocument, entries) {
+  if (entries.length === 0) return;
+
+  const { context } = pdfDocument;
+  const pages = pdfDocument.getPages();
+  const outlineRef = context.nextRef();
+  const itemRefs = entries.map(() => context.nextRef());
+
+  entries.forEach((entry, index) => {
+    const item = {
+      Title: PDFHexString.fromText(entry.title),
+      Parent: outlineRef,
+      Dest: [pages[entry.pageIndex].ref, PDFName.of("Fit")],
+    };
+    if (index > 0) item.Prev = itemRefs[index - 1];
+    if (index < entries.length - 1) item.Next = itemRefs[index + 1];
+    context.assign(itemRefs[index], context.obj(item));
+  });
+
+  context.assign(
+    outlineRef,
+    context.obj({
+      Type: "Outlines",
+      First: itemRefs[0],
+      Last: itemRefs[itemRefs.length - 1],
+      Count: entries.length,
+    })
+  );
+  pdfDocument.catalog.set(PDFName.of("Outlines"), outlineRef);
+  pdfDocument.catalog.set(PDFName.of("PageMode"), PDFName.of("UseOutlines"));
+}
+
+// Página de calibração em SVG (unidades em mm): réguas nas bordas superior e
+// esquerda, a área útil entre as margens e cada célula do grid com uma cruz no centro
+function buildCalibrationHtml(layout) {
+  const {
+    pageWidth,
+    pageHeight,
+    cols,
+    rows,
+    marginTop,
+    marginLeft,
+    marginRight,
+    marginBottom,
+    gapCol,
+    gapRow,
+    calibration,
+  } = layout;
+  const { gridColWidth, gridRowHeight } = resolveGridCellSize(layout);
+  const gridWidth = cols * gridColWidth + (cols - 1) * gapCol;
+  // O grid é centralizado na área entre as margens, como em buildHtml
+  const gridLeft =
+    marginLeft + Math.max(0, (pageWidth - marginLeft - marginRight - gridWidth) / 2);
+
+  const tickLength = (position) => (position % 10 === 0 ? 5 : position % 5 === 0 ? 3 : 1.5);
+  const horizontalRuler = Array.from({ length: Math.floor(pageWidth) + 1 }, (_, x) => {
+    const label = x > 0 && x % 10 === 0 ? `<text x="${x}" y="8" text-anchor="middle">${x}</text>` : "";
+    return `<line x1="${x}" y1="0" x2="${x}" y2="${tickLength(x)}"/>${label}`;
+  }).join("");
+  const verticalRuler = Array.from({ length: Math.floor(pageHeight) + 1 }, (_, y) => {
+    const label = y > 0 && y % 10 === 0 ? `<text x="6.5" y="${y + 0.9}">${y}</text>` : "";
+    return `<line x1="0" y1="${y}" x2="${tickLength(y)}" y2="${y}"/>${label}`;
+  }).join("");
+
+  const cells = [];
+  for (let row = 0; row < rows; row += 1) {
+    for (let col = 0; col < cols; col += 1) {
+      const x = gridLeft + col * (gridColWidth + gapCol);
+      const y = marginTop + row * (gridRowHeight + gapRow);
+      const centerX = x + gridColWidth / 2;
+      const centerY = y + gridRowHeight / 2;
+      cells.push(`
+        <rect class="cell" x="${x}" y="${y}" width="${gridColWidth}" height="${gridRowHeight}"/>
+        <line x1="${centerX - 3}" y1="${centerY}" x2="${centerX + 3}" y2="${centerY}"/>
+        <line x1="${centerX}" y1="${centerY - 3}" x2="${centerX}" y2="${centerY + 3}"/>
+        <text class="cell-label" x="${x + 1}" y="${y + 2.5}">${row * cols + col + 1}</text>
+      `);
+    }
+  }
+
+  const { offsetX = 0, offsetY = 0, scaleX = 1, scaleY = 1 } = calibration || {};
+  const info = [
+    `Página ${pageWidth} x ${pageHeight} mm · grid ${cols}x${rows} · célula ${gridColWidth} x ${gridRowHeight} mm`,
+    `Margens ${marginTop}/${marginRight}/${marginBottom}/${marginLeft} mm · espaçamento ${gapCol}/${gapRow} mm`,
+    `Calibração: X ${offsetX} mm, Y ${offsetY} mm, escala ${scaleX} x ${scaleY}`,
+  ];
+
+  return `
+    <!DOCTYPE html>
+    <html lang="pt-BR">
+      <head>
+        <meta charset="UTF-8" />
+        <title>Calibração</title>
+        <style>
+          @page {
+            size: ${pageWidth}mm ${pageHeight}mm;
+            margin: 0;
+          }
+          body {
+            margin: 0;
+          }
+          svg {
+            display: block;
+            font-family: "Helvetica Neue", Arial, sans-serif;
+          }
+          line {
+            stroke: #000;
+            stroke-width: 0.15;
+          }
+          text {
+            font-size: 2.5px;
+            fill: #000;
+          }
+          .margins {
+            fill: none;
+            stroke: #64748b;
+            stroke-width: 0.15;
+            stroke-dasharray: 1 1;
+          }
+          .cell {
+            fill: none;
+            stroke: #000;
+            stroke-width: 0.2;
+          }
+          .cell-label {
+            font-size: 2px;
+            fill: #475569;
+          }
+          .info {
+            font-size: 2.8px;
+          }
+        </style>
+      </head>
+      <body>
+        <svg xmlns="http://www.w3.org/2000/svg" width="${pageWidth}mm" height="${pageHeight}mm" viewBox="0 0 ${pageWidth} ${pageHeight}">
+          <g transform="translate(${offsetX} ${offsetY}) scale(${scaleX} ${scaleY})">
+            ${horizontalRuler}
+            ${verticalRuler}
+            <rect class="margins" x="${marginLeft}" y="${marginTop}" width="${pageWidth - marginLeft - marginRight}" height="${pageHeight - marginTop - marginBottom}"/>
+            ${cells.join("")}
+            ${info
+              .map(
+                (line, index) =>
+                  `<text class="info" x="${pageWidth / 2}" y="${pageHeight - marginBottom / 2 - (info.length - 1 - index) * 3.5}" text-anchor="middle">${escapeHtml(line)}</text>`
+              )
+              .join("")}
+          </g>
+        </svg>
+      </body>
+    </html>
+  `;
+}
+
+// Saídas rasterizadas para impressoras térmicas: uma imagem por card, no tamanho
+// da célula do grid (já considerando 'rotateCard') e na resolução pedida
+const RASTER_FORMATS = ["png", "zpl"];
+// 203 dpi é a resolução padrão das impressoras Zebra
+const RASTER_DEFAULT_DPI = 203;
+const RASTER_MIN_DPI = 72;
+const RASTER_MAX_DPI = 600;
+const CSS_PX_PER_MM = 96 / 25.4;
+
+function validateRasterOptions(body) {
+  const { format = "png", dpi = RASTER_DEFAULT_DPI } = body || {};
+  if (!RASTER_FORMATS.includes(format)) {
+    throw createHttpError(400, `Campo 'format' deve ser um de: ${RASTER_FORMATS.join(", ")}.`);
+  }
+  if (!Number.isInteger(dpi) || dpi < RASTER_MIN_DPI || dpi > RASTER_MAX_DPI) {
+    throw createHttpError(
+      400,
+      `Campo 'dpi' deve ser um inteiro entre ${RASTER_MIN_DPI} e ${RASTER_MAX_DPI}.`
+    );
+  }
+  return { format, dpi };
+}
+
+// Layout de uma folha com um único card e sem margens
+function buildRasterLayout(layout) {
+  const { gridColWidth, gridRowHeight } = resolveGridCellSize(layout);
+  return {
+    ...layout,
+    cols: 1,
+    rows: 1,
+    marginTop: 0,
+    marginBottom: 0,
+    marginLeft: 0,
+    marginRight: 0,
+    gapCol: 0,
+    gapRow: 0,
+    pageWidth: gridColWidth,
+    pageHeight: gridRowHeight,
+    startPosition: 1,
+    // Corte, sangria e calibração não se aplicam a uma imagem por card
+    cutMarks: false,
+    bleed: 0,
+    calibration: undefined,
+  };
+}
+
+// Captura cada '.page' do HTML (um card por página) como PNG
+async function generateCardImages({
+  html,
+  pageWidth,
+  pageHeight,
+  dpi,
+  sandbox = false,
+  background = false,
+}) {
+  return browserPool.run(
+    async (page) => {
+      // A página é reaproveitada pelo pool: o viewport e a escala voltam ao que
+      // eram para não vazar para os próximos PDFs e previews do mesmo slot. Se
+      // não der para restaurar, a página é fechada e o pool abre outra.
+      const previousViewport = page.viewport() || { width: 800, height: 600 };
+      try {
+        await page.setJavaScriptEnabled(!sandbox);
+        await page.setViewport({
+          width: Math.ceil(pageWidth * CSS_PX_PER_MM),
+          height: Math.ceil(pageHeight * CSS_PX_PER_MM),
+          deviceScaleFactor: dpi / 96,
+        });
+        await page.setContent(html, {
+          waitUntil: ["load", "networkidle0"],
+          timeout: 30000,
+        });
+        const images = [];
+        for (const section of await page.$$("section.page")) {
+          images.push(Buffer.from(await section.screenshot({ type: "png" })));
+        }
+        return images;
+      } finally {
+        await page.setViewport(previousViewport).catch(() => page.close().catch(() => {}));
+      }
+    },
+    { background }
+  );
+}
+
+async function renderCardImages({ payload, dpi, background = false }) {
+  const { tenantId } = payload;
+  const layout = buildRasterLayout(payload.layout);
+  const { logoDataUrl, pages, warnings } = await prepareRenderData({ ...payload, layout });
+
+  const images = [];
+  for (const groupPages of chunkArray(pages, PDF_PAGES_PER_RENDER)) {
+    images.push(
+      ...(await generateCardImages({
+        html: buildHtml({ logoDataUrl, layout, pages: groupPages, mode: "raster", tenantId }),
+        pageWidth: layout.pageWidth,
+        pageHeight: layout.pageHeight,
+        dpi,
+        sandbox: Boolean(layout.cardTemplateId),
+        background,
+      }))
+    );
+  }
+
+  return {
+    cards: pages.map(([material], index) => ({ material, image: images[index] })),
+    warnings,
+  };
+}
+
+// Converte um PNG em um rótulo ZPL com o bitmap em ^GF (1 bit por ponto; pixels
+// escuros ou opacos viram pontos impressos)
+// 'offsetX'/'offsetY' (pontos) vêm da calibração: ^LS desloca na horizontal (valores
+// positivos movem para a esquerda) e ^LT na vertical, limitado a 120 linhas pelo ZPL
+function convertPngToZpl(pngBuffer, { offsetX = 0, offsetY = 0 } = {}) {
+  const { width, height, data } = PNG.sync.read(pngBuffer);
+  const bytesPerRow = Math.ceil(width / 8);
+  const bitmap = Buffer.alloc(bytesPerRow * height);
+
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      const offset = (y * width + x) * 4;
+      const alpha = data[offset + 3] / 255;
+      const luminance =
+        (0.299 * data[offset] + 0.587 * data[offset + 1] + 0.114 * data[offset + 2]) * alpha +
+        255 * (1 - alpha);
+      if (luminance < 128) {
+        bitmap[y * bytesPerRow + (x >> 3)] |= 0x80 >> (x & 7);
+      }
+    }
+  }
+
+  const labelShift = Math.round(-offsetX);
+  const labelTop = Math.max(-120, Math.min(120, Math.round(offsetY)));
+  return [
+    "^XA",
+    `^PW${width}`,
+    `^LL${height}`,
+    ...(labelShift !== 0 ? [`^LS${labelShift}`] : []),
+    ...(labelTop !== 0 ? [`^LT${labelTop}`] : []),
+    `^FO0,0^GFA,${bitmap.length},${bitmap.length},${bytesPerRow},${bitmap
+      .toString("hex")
+      .toUpperCase()}^FS`,
+    "^XZ",
+  ].join("\n");
+}
+
+// Converte o deslocamento da calibração (mm) em pontos na resolução do ZPL
+function resolveZplOffsets(calibration, dpi) {
+  if (!calibration) return {};
+  return {
+    offsetX: (calibration.offsetX / 25.4) * dpi,
+    offsetY: (calibration.offsetY / 25.4) * dpi,
+  };
+}
+
+function buildCardImageName(material, index, extension) {
+  const position = String(index + 1).padStart(3, "0");
+  return `${position}_${sanitizeFilename(String(material.codigo))}.${extension}`;
+}
+
+// Renderiza e grava o PDF no armazenamento, junto com seu registro
+async function renderPdfFile({ payload, onProgress, background = false }) {
+  const { tenantId } = payload;
+  await ensureDirectories(tenantId);
+
+  const { pdfBuffer, warnings, textOverflows } = await renderPdfBuffer({
+    payload,
+    onProgress,
+    background,
+  });
+
+  const fileBaseName = sanitizeFilename(makeSlug());
+  const pdfFileName = `${fileBaseName}.pdf`;
+  await fileStorage.putPdf(tenantId, pdfFileName, pdfBuffer);
+
+  // O registro do arquivo é o que a varredura usa para excluí-lo ao expirar
+  const createdAt = Date.now();
+  const record = {
+    id: fileBaseName,
+    fileName: pdfFileName,
+    tenant: tenantId,
+    createdAt: new Date(createdAt).toISOString(),
+    expiresAt: new Date(createdAt + payload.retention * 1000).toISOString(),
+    size: pdfBuffer.length,
+    payloadHash: hashPayload(payload),
+  };
+  await fileStorage.writeRecord(record);
+  logger.info("PDF retido", {
+    scope: "Limpeza",
+    fileName: pdfFileName,
+    expiresAt: record.expiresAt,
+  });
+
+  return {
+    pdfFileName,
+    warnings,
+    textOverflows,
+    file: record,
+    linkExpiresAt: createdAt + payload.linkExpiresIn * 1000,
+  };
+}
+
+// Hash do conteúdo que define o PDF, para identificar lotes repetidos
+function hashPayload({ logoUrl, layout, materials, sections, cover }) {
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify({ logoUrl, layout, materials, sections, cover }))
+    .digest("hex");
+}
+
+async function findFileRecord(tenantId, fileId) {
+  return fileStorage.readRecord(tenantId, sanitizeFilename(fileId));
+}
+
+async function deleteStoredFile(record) {
+  await fileStorage.deletePdf(record.tenant, record.fileName);
+  await fileStorage.deleteRecord(record.tenant, record.id);
+}
+
+// Exclui os PDFs cujo registro expirou. PDFs sem registro (gerados antes dos
+// registros existirem) seguem a expiração padrão a partir da data do arquivo.
+async function sweepExpiredFiles() {
+  const now = Date.now();
+  let removed = 0;
+  const tenantIds = new Set([DEFAULT_TENANT_ID, ...tenants.keys()]);
+
+  for (const tenantId of tenantIds) {
+    const tracked = new Set();
+
+    for (const record of await fileStorage.listRecords(tenantId)) {
+      tracked.add(record.fileName);
+      if (Date.parse(record.expiresAt) <= now) {
+        try {
+          await deleteStoredFile(record);
+          removed += 1;
+        } catch (error) {
+          logger.error("Erro ao excluir PDF", {
+            scope: "Limpeza",
+            fileName: record.fileName,
+            error: error.message,
+          });
+        }
+      }
+    }
+
+    for (const { fileName, modifiedAt } of await fileStorage.listPdfs(tenantId)) {
+      if (tracked.has(fileName) || modifiedAt + PDF_EXPIRATION_TIME > now) continue;
+      try {
+        await fileStorage.deletePdf(tenantId, fileName);
+        removed += 1;
+      } catch (error) {
+        logger.error("Erro ao excluir PDF", { scope: "Limpeza", fileName, error: error.message });
+      }
+    }
+  }
+
+  if (removed > 0) {
+    logger.info("PDFs expirados excluídos", { scope: "Limpeza", removed });
+  }
+}
+
+function startFileSweeper() {
+  // Cada varredura tem o próprio id de correlação nos logs
+  const sweep = () =>
+    logContext.run({ sweepId: uuidv4() }, sweepExpiredFiles).catch((error) => {
+      logger.error("Falha na varredura de PDFs", { scope: "Limpeza", error });
+    });
+  sweep();
+  setInterval(sweep, FILE_SWEEP_INTERVAL).unref();
+}
+
+function signFileLink(tenantId, pdfFileName, expires) {
+  return crypto
+    .createHmac("sha256", LINK_SIGNING_SECRET)
+    .update(`${tenantId}/${pdfFileName}:${expires}`)
+    .digest("base64url");
+}
+
+// Confere 'expires' e 'signature' da query de um link. Devolve o erro (403 para
+// link ausente/adulterado, 410 para expirado) ou null quando o link é válido.
+function verifyFileLink(tenantId, pdfFileName, query) {
+  const expires = Number(query.expires);
+  const signature = typeof query.signature === "string" ? query.signature : "";
+  if (!Number.isInteger(expires) || !signature) {
+    return createHttpError(403, "Link sem assinatura. Solicite um novo link de download.");
+  }
+
+  const expected = Buffer.from(signFileLink(tenantId, pdfFileName, expires));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return createHttpError(403, "Link inválido ou adulterado.");
+  }
+  if (expires * 1000 < Date.now()) {
+    return createHttpError(410, "Este link expirou. Gere o PDF novamente ou solicite um novo link.");
+  }
+  return null;
+}
+
+// Arquivos do tenant padrão mantêm as URLs originais; os demais levam o tenant no
+// caminho. Os dois links levam a mesma assinatura, válida até 'expiresAt' (ms).
+function buildFileUrls(baseUrl, pdfFileName, tenantId = DEFAULT_TENANT_ID, expiresAt) {
+  const viewerId = path.parse(pdfFileName).name;
+  const prefix = tenantId === DEFAULT_TENANT_ID ? "" : `/${tenantId}`;
+  const expires = Math.floor(expiresAt / 1000);
+  const query = `?expires=${expires}&signature=${signFileLink(tenantId, pdfFileName, expires)}`;
+  return {
+    downloadUrl: `${baseUrl}/files${prefix}/${pdfFileName}${query}`,
+    viewerUrl: `${baseUrl}/view${prefix}/${viewerId}${query}`,
+    expiresAt: new Date(expires * 1000).toISOString(),
+  };
+}
+
+// Jobs assíncronos de geração de PDF, mantidos em memória até PDF_JOB_TTL após
+// a conclusão (ou até a expiração do arquivo, se vier antes)
+const pdfJobs = new Map();
+
+// Recusa novos jobs quando a fila (aguardando + em execução) está cheia, no
+// servidor ou para o tenant
+function checkJobQueueLimit(tenantId) {
+  const pendingJobs = [...pdfJobs.values()].filter(
+    (job) => job.status === "queued" || job.status === "running"
+  );
+  const tenantPending = pendingJobs.filter((job) => job.tenantId === tenantId).length;
+  if (pendingJobs.length >= PDF_JOBS_MAX || tenantPending >= PDF_JOBS_MAX_PER_TENANT) {
+    const error = createHttpError(
+      429,
+      "Limite de jobs em andamento atingido, aguarde a conclusão dos anteriores."
+    );
+    error.retryAfter = 30;
+    throw error;
+  }
+}
+
+function validateCallbackUrl(callbackUrl) {
+  if (callbackUrl === undefined) return undefined;
+
+  let parsed;
+  try {
+    parsed = new URL(callbackUrl);
+  } catch (error) {
+    throw createHttpError(400, "Campo 'callbackUrl' deve ser uma URL válida.");
+  }
+  if (!["http:", "https:"].includes(parsed.protocol)) {
+    throw createHttpError(400, "Campo 'callbackUrl' deve usar http ou https.");
+  }
+  // Mesma política das imagens: o servidor não faz POST para hosts bloqueados
+  // nem para endereços internos (metadados da nuvem, localhost, redes privadas)
+  try {
+    checkImageUrlPolicy(parsed.toString());
+  } catch (error) {
+    throw createHttpError(400, `Campo 'callbackUrl' não permitido: ${error.message}`);
+  }
+  if (!WEBHOOK_SECRET) {
+    throw createHttpError(
+      400,
+      "Campo 'callbackUrl' requer WEBHOOK_SECRET configurado no servidor."
+    );
+  }
+  return parsed.toString();
+}
+
+function serializeJob(job) {
+  return {
+    jobId: job.id,
+    status: job.status,
+    progress: job.progress,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    fileId: job.fileId,
+    downloadUrl: job.downloadUrl,
+    viewerUrl: job.viewerUrl,
+    expiresAt: job.expiresAt,
+    error: job.error,
+    callback: job.callback,
+    template: job.template,
+    warnings: job.warnings,
+    textOverflows: job.textOverflows,
+  };
+}
+
+// Envia o resultado do job para 'callbackUrl'. O corpo é assinado com
+// HMAC-SHA256 sobre "<timestamp>.<corpo>" no header X-Signature.
+async function sendJobCallback(job) {
+  const body = JSON.stringify({
+    jobId: job.id,
+    status: job.status,
+    downloadUrl: job.downloadUrl,
+    viewerUrl: job.viewerUrl,
+    error: job.error,
+    warnings: job.warnings,
+    finishedAt: job.finishedAt,
+  });
+
+  const maxAttempts = 3;
+  for (let attempt = 1; attempt <= maxAttempts; attempt += 1) {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const signature = crypto
+      .createHmac("sha256", WEBHOOK_SECRET)
+      .update(`${timestamp}.${body}`)
+      .digest("hex");
+
+    try {
+      // O lookup dos agents barra hosts que resolvem para endereço privado;
+      // sem redirecionamentos, o destino é sempre o host já validado
+      await axios.post(job.callbackUrl, body, {
+        timeout: 10000,
+        maxRedirects: 0,
+        proxy: false,
+        httpAgent: imageHttpAgent,
+        httpsAgent: imageHttpsAgent,
+        headers: {
+          "Content-Type": "application/json",
+          "X-Signature": `sha256=${signature}`,
+          "X-Signature-Timestamp": timestamp,
+          "X-Job-Id": job.id,
+        },
+      });
+      job.callback = { status: "delivered", attempts: attempt };
+      return;
+    } catch (error) {
+      logger.error("Falha ao enviar callback", {
+        scope: "Jobs",
+        jobId: job.id,
+        attempt,
+        error: error.message,
+      });
+      job.callback = { status: "failed", attempts: attempt, error: error.message };
+      if (attempt < maxAttempts) {
+        await new Promise((resolve) => setTimeout(resolve, attempt * 2000));
+      }
+    }
+  }
+}
+
+async function runPdfJob(job, payload, baseUrl) {
+  job.status = "running";
+  job.startedAt = new Date().toISOString();
+
+  try {
+    const { pdfFileName, warnings, textOverflows, file, linkExpiresAt } = await renderPdfFile({
+      payload,
+      background: true,
+      onProgress: (progress) => {
+        job.progress = { ...progress };
+      },
+    });
+    Object.assign(job, buildFileUrls(baseUrl, pdfFileName, job.tenantId, linkExpiresAt));
+    job.fileId = file.id;
+    job.warnings = warnings;
+    job.textOverflows = textOverflows;
+    job.status = "completed";
+    logger.info("Job concluído", { scope: "Jobs", jobId: job.id, pdfFileName });
+  } catch (error) {
+    job.status = "failed";
+    job.error = error.message;
+    logger.error("Job falhou", { scope: "Jobs", jobId: job.id, error: error.message });
+  }
+
+  job.finishedAt = new Date().toISOString();
+
+  // O job some após PDF_JOB_TTL ou junto com o PDF gerado, o que vier antes
+  setTimeout(
+    () => pdfJobs.delete(job.id),
+    Math.min(PDF_JOB_TTL, payload.retention * 1000)
+  ).unref();
+
+  if (job.callbackUrl) {
+    await sendJobCallback(job);
+  }
+}
+
+function resolveBaseUrl(req) {
+  if (BASE_URL) return BASE_URL;
+  const host = req.get("host");
+  const protocol = req.protocol;
+  return `${protocol}://${host}`;
+}
+
+// Campos de layout que descrevem a folha de etiquetas; são os únicos que um preset define
+const PRESET_LAYOUT_FIELDS = [
+  "pageSize",
+  "orientation",
+  "cols",
+  "rows",
+  "marginTop",
+  "marginBottom",
+  "marginLeft",
+  "marginRight",
+  "gapCol",
+  "gapRow",
+  "cardWidth",
+  "cardHeight",
+];
+
+// Catálogo de folhas de etiquetas comerciais (medidas em mm)
+const BUILTIN_PRESETS = [
+  {
+    id: "pimaco-6180",
+    name: "Pimaco 6180 / Avery 5160",
+    description: "Carta, 30 etiquetas de 25,4 x 66,7 mm",
+    layout: {
+      pageSize: "Letter",
+      cols: 3,
+      rows: 10,
+      marginTop: 12.7,
+      marginBottom: 12.7,
+      marginLeft: 4.7,
+      marginRight: 4.7,
+      gapCol: 3.2,
+      gapRow: 0,
+      cardWidth: 66.7,
+      cardHeight: 25.4,
+    },
+  },
+  {
+    id: "pimaco-6181",
+    name: "Pimaco 6181 / Avery 5161",
+    description: "Carta, 20 etiquetas de 25,4 x 101,6 mm",
+    layout: {
+      pageSize: "Letter",
+      cols: 2,
+      rows: 10,
+      marginTop: 12.7,
+      marginBottom: 12.7,
+      marginLeft: 4,
+      marginRight: 4,
+      gapCol: 4.7,
+      gapRow: 0,
+      cardWidth: 101.6,
+      cardHeight: 25.4,
+    },
+  },
+  {
+    id: "pimaco-6182",
+    name: "Pimaco 6182 / Avery 5162",
+    description: "Carta, 14 etiquetas de 33,9 x 101,6 mm",
+    layout: {
+      pageSize: "Letter",
+      cols: 2,
+      rows: 7,
+      marginTop: 21.05,
+      marginBottom: 21.05,
+      marginLeft: 4,
+      marginRight: 4,
+      gapCol: 4.7,
+      gapRow: 0,
+      cardWidth: 101.6,
+      cardHeight: 33.9,
+    },
+  },
+  {
+    id: "pimaco-6183",
+    name: "Pimaco 6183 / Avery 5163",
+    description: "Carta, 10 etiquetas de 50,8 x 101,6 mm",
+    layout: {
+      pageSize: "Letter",
+      cols: 2,
+      rows: 5,
+      marginTop: 12.7,
+      marginBottom: 12.7,
+      marginLeft: 4,
+      marginRight: 4,
+      gapCol: 4.7,
+      gapRow: 0,
+      cardWidth: 101.6,
+      cardHeight: 50.8,
+    },
+  },
+  {
+    id: "pimaco-6184",
+    name: "Pimaco 6184 / Avery 5164",
+    description: "Carta, 6 etiquetas de 84,7 x 101,6 mm",
+    layout: {
+      pageSize: "Letter",
+      cols: 2,
+      rows: 3,
+      marginTop: 12.65,
+      marginBottom: 12.65,
+      marginLeft: 4,
+      marginRight: 4,
+      gapCol: 4.7,
+      gapRow: 0,
+      cardWidth: 101.6,
+      cardHeight: 84.7,
+    },
+  },
+  {
+    id: "pimaco-a4251",
+    name: "Pimaco A4251 / Avery L7651",
+    description: "A4, 65 etiquetas de 21,2 x 38,1 mm",
+    layout: {
+      pageSize: "A4",
+      cols: 5,
+      rows: 13,
+      marginTop: 10.7,
+      marginBottom: 10.7,
+      marginLeft: 4.75,
+      marginRight: 4.75,
+      gapCol: 2.5,
+      gapRow: 0,
+      cardWidth: 38.1,
+      cardHeight: 21.2,
+    },
+  },
+  {
+    id: "pimaco-a4256",
+    name: "Pimaco A4256 / Avery L7160",
+    description: "A4, 21 etiquetas de 38,1 x 63,5 mm",
+    layout: {
+      pageSize: "A4",
+      cols: 3,
+      rows: 7,
+      marginTop: 15.15,
+      marginBottom: 15.15,
+      marginLeft: 7.25,
+      marginRight: 7.25,
+      gapCol: 2.5,
+      gapRow: 0,
+      cardWidth: 63.5,
+      cardHeight: 38.1,
+    },
+  },
+  {
+    id: "pimaco-a4263",
+    name: "Pimaco A4263 / Avery L7163",
+    description: "A4, 14 etiquetas de 38,1 x 99,1 mm",
+    layout: {
+      pageSize: "A4",
+      cols: 2,
+      rows: 7,
+      marginTop: 15.15,
+      marginBottom: 15.15,
+      marginLeft: 4.65,
+      marginRight: 4.65,
+      gapCol: 2.5,
+      gapRow: 0,
+      cardWidth: 99.1,
+      cardHeight: 38.1,
+    },
+  },
+];
+
+// Presets personalizados gravados no diretório de presets de cada tenant,
+// carregados na inicialização
+const customPresets = new Map();
+
+async function loadCustomPresets(tenantId) {
+  const { presetsDir } = resolveTenantDirs(tenantId);
+  const records = tenantRecords(customPresets, tenantId);
+  (await readJsonDirectory(presetsDir, "Presets")).forEach((preset) => {
+    records.set(preset.id, preset);
+  });
+  logger.info("Presets personalizados carregados", {
+    scope: "Presets",
+    tenantId,
+    count: records.size,
+  });
+}
+
+function findPreset(id, tenantId) {
+  const builtin = BUILTIN_PRESETS.find((preset) => preset.id === id);
+  if (builtin) return { ...builtin, source: "builtin" };
+  const custom = tenantRecords(customPresets, tenantId).get(id);
+  return custom ? { ...custom, source: "custom" } : null;
+}
+
+function listPresets(tenantId) {
+  return [
+    ...BUILTIN_PRESETS.map((preset) => ({ ...preset, source: "builtin" })),
+    ...Array.from(tenantRecords(customPresets, tenantId).values()).map((preset) => ({
+      ...preset,
+      source: "custom",
+    })),
+  ];
+}
+
+// Expande 'layout.preset' nos campos da folha; os demais campos do layout
+// enviado sobrescrevem os do preset
+function resolveLayoutPreset(layout, tenantId, path = "layout") {
+  if (!layout || typeof layout !== "object" || layout.preset === undefined) {
+    return layout;
+  }
+
+  const { preset: presetId, ...overrides } = layout;
+  const preset = findPreset(presetId, tenantId);
+  if (!preset) {
+    throw createValidationError([
+      {
+        path: `${path}.preset`,
+        code: "preset_not_found",
+        params: { id: presetId },
+        message: `Preset '${presetId}' não encontrado.`,
+      },
+    ]);
+  }
+  return { ...preset.layout, ...overrides };
+}
+
+function createPresetNotFoundError(id) {
+  return createHttpError(404, "Preset não encontrado.", {
+    code: "preset_not_found",
+    params: { id },
+  });
+}
+
+function validatePresetInput(body, tenantId) {
+  if (!body || typeof body !== "object") {
+    throw createHttpError(400, "Payload JSON inválido.");
+  }
+
+  const { id, name, description, layout } = body;
+
+  if (typeof id !== "string" || !/^[a-z0-9][a-z0-9_-]{1,63}$/.test(id)) {
+    throw createHttpError(
+      400,
+      "Campo 'id' deve ter de 2 a 64 caracteres: letras minúsculas, números, '-' ou '_'."
+    );
+  }
+  if (BUILTIN_PRESETS.some((preset) => preset.id === id)) {
+    throw createHttpError(409, `Preset '${id}' é embutido e não pode ser sobrescrito.`);
+  }
+  if (typeof name !== "string" || !name.trim()) {
+    throw createHttpError(400, "Campo 'name' é obrigatório.");
+  }
+  if (description !== undefined && typeof description !== "string") {
+    throw createHttpError(400, "Campo 'description' deve ser texto.");
+  }
+  if (!layout || typeof layout !== "object") {
+    throw createHttpError(400, "Campo 'layout' é obrigatório.");
+  }
+
+  const normalized = validateLayout(layout, tenantId);
+  const presetLayout = {};
+  PRESET_LAYOUT_FIELDS.forEach((field) => {
+    presetLayout[field] = normalized[field];
+  });
+
+  return {
+    id,
+    name: name.trim(),
+    description: description || "",
+    layout: presetLayout,
+  };
+}
+
+// Templates de layout salvos no diretório de templates do tenant. Cada atualização
+// cria uma nova versão imutável, para que um lote impresso possa ser reproduzido.
+// A exclusão só marca 'deletedAt': o template sai da listagem, mas suas versões
+// continuam utilizáveis com 'version' explícita.
+const layoutTemplates = new Map();
+
+async function loadLayoutTemplates(tenantId) {
+  const { templatesDir } = resolveTenantDirs(tenantId);
+  const records = tenantRecords(layoutTemplates, tenantId);
+  (await readJsonDirectory(templatesDir, "Templates")).forEach((template) => {
+    records.set(template.id, template);
+  });
+  logger.info("Templates carregados", { scope: "Templates", tenantId, count: records.size });
+}
+
+async function saveLayoutTemplate(template, tenantId) {
+  await ensureDirectories(tenantId);
+  const { templatesDir } = resolveTenantDirs(tenantId);
+  await writeJsonFile(path.join(templatesDir, `${template.id}.json`), template);
+  tenantRecords(layoutTemplates, tenantId).set(template.id, template);
+}
+
+function findTemplateVersion(template, version) {
+  if (version === undefined) {
+    return template.versions[template.versions.length - 1];
+  }
+  return template.versions.find((item) => item.version === version) || null;
+}
+
+function summarizeTemplate(template) {
+  const latest = findTemplateVersion(template);
+  return {
+    id: template.id,
+    name: template.name,
+    description: template.description,
+    latestVersion: latest.version,
+    createdAt: template.createdAt,
+    updatedAt: template.updatedAt,
+    deletedAt: template.deletedAt || null,
+  };
+}
+
+// O layout de um template pode ser parcial (fontes, empresa, rotação...);
+// ele só é validado por completo ao ser combinado com o layout da requisição
+function validateTemplateInput(body, tenantId, { partial = false } = {}) {
+  if (!body || typeof body !== "object") {
+    throw createHttpError(400, "Payload JSON inválido.");
+  }
+
+  const { name, description, layout } = body;
+
+  if (!(partial && name === undefined) && (typeof name !== "string" || !name.trim())) {
+    throw createHttpError(400, "Campo 'name' é obrigatório.");
+  }
+  if (description !== undefined && typeof description !== "string") {
+    throw createHttpError(400, "Campo 'description' deve ser texto.");
+  }
+  if (!layout || typeof layout !== "object" || Array.isArray(layout)) {
+    throw createHttpError(400, "Campo 'layout' é obrigatório.");
+  }
+  resolveLayoutPreset(layout, tenantId);
+
+  return {
+    name: typeof name === "string" ? name.trim() : undefined,
+    description,
+    layout,
+  };
+}
+
+// Caminho de um campo dentro de 'basePath' (ex.: sections[2] e templateId)
+function joinPath(basePath, field) {
+  return basePath ? `${basePath}.${field}` : field;
+}
+
+// Combina o template informado em 'templateId'/'version' com o layout da
+// requisição (que tem precedência). 'basePath' localiza o corpo nos erros
+// (ex.: sections[2]).
+function resolveLayoutTemplate(body, tenantId, basePath = "") {
+  const { templateId, version: requestedVersion, layout } = body;
+  if (templateId === undefined) {
+    return { layout, template: null };
+  }
+
+  const fail = (field, code, params, message) => {
+    throw createValidationError([{ path: joinPath(basePath, field), code, params, message }]);
+  };
+  const template = tenantRecords(layoutTemplates, tenantId).get(templateId);
+  if (!template) {
+    fail(
+      "templateId",
+      "template_not_found",
+      { id: templateId },
+      `Template '${templateId}' não encontrado.`
+    );
+  }
+  if (
+    requestedVersion !== undefined &&
+    (typeof requestedVersion !== "number" || !Number.isInteger(requestedVersion))
+  ) {
+    fail("version", "integer", { field: "version" }, "Campo 'version' deve ser um inteiro.");
+  }
+  if (template.deletedAt && requestedVersion === undefined) {
+    fail(
+      "templateId",
+      "template_deleted",
+      { id: templateId },
+      `Template '${templateId}' foi removido; informe 'version' para reproduzir um lote anterior.`
+    );
+  }
+
+  const version = findTemplateVersion(template, requestedVersion);
+  if (!version) {
+    fail(
+      "version",
+      "template_version_not_found",
+      { id: templateId, version: requestedVersion },
+      `Versão ${requestedVersion} do template '${templateId}' não encontrada.`
+    );
+  }
+
+  const overrides = layout && typeof layout === "object" ? layout : {};
+  return {
+    layout: { ...version.layout, ...overrides },
+    template: { id: template.id, version: version.version },
+  };
+}
+
+function createTemplateNotFoundError(id) {
+  return createHttpError(404, "Template não encontrado.", {
+    code: "template_not_found",
+    params: { id },
+  });
+}
+
+// Templates de card (Handlebars) enviados pelos clientes, gravados no diretório
+// de templates de card do tenant. Só os helpers nativos são permitidos e '{{ }}' escapa HTML.
+const cardTemplates = new Map();
+const handlebarsSandbox = Handlebars.create();
+
+function createCardTemplateNotFoundError(id) {
+  return createHttpError(404, "Template de card não encontrado.", {
+    code: "card_template_not_found",
+    params: { id },
+  });
+}
+
+// Marcação que não pode aparecer num template de card: scripts, handlers de
+// evento, frames/objetos e qualquer coisa que dispare requisições. Este filtro só
+// existe para devolver um erro claro na hora do cadastro e não é exaustivo: o
+// isolamento de fato vem da renderização (CSP 'default-src none', JavaScript
+// desligado e interceptação de requisições na página do Chrome).
+const FORBIDDEN_CARD_TEMPLATE_MARKUP = [
+  [/<\s*(script|iframe|frame|object|embed|link|meta|base|form|style)\b/i, "tags <script>, <iframe>, <object>, <embed>, <link>, <meta>, <base>, <form> e <style> não são permitidas"],
+  [/\son[a-z]+\s*=/i, "atributos de evento (on*) não são permitidos"],
+  [/javascript\s*:/i, "URLs javascript: não são permitidas"],
+  [/\b(src|href|srcset|poster|action)\s*=\s*["']?\s*(https?:)?\/\//i, "recursos externos não são permitidos; use apenas data URLs"],
+];
+
+function findLineNumber(source, index) {
+  return source.slice(0, index).split("\n").length;
+}
+
+function compileCardTemplate(source) {
+  for (const [pattern, reason] of FORBIDDEN_CARD_TEMPLATE_MARKUP) {
+    const match = pattern.exec(source);
+    if (match) {
+      const line = findLineNumber(source, match.index);
+      const error = createHttpError(400, `Template inválido na linha ${line}: ${reason}.`);
+      error.details = { line };
+      throw error;
+    }
+  }
+
+  try {
+    // 'precompile' valida a sintaxe e os helpers de imediato ('compile' é preguiçoso)
+    handlebarsSandbox.precompile(source, { knownHelpersOnly: true });
+    return handlebarsSandbox.compile(source, { knownHelpersOnly: true });
+  } catch (error) {
+    const lineMatch =
+      /line (\d+)/i.exec(error.message) || / - (\d+):\d+$/.exec(error.message);
+    const line = error.lineNumber || (lineMatch ? Number(lineMatch[1]) : null);
+    const httpError = createHttpError(
+      400,
+      `Erro ao compilar template${line ? ` na linha ${line}` : ""}: ${error.message.split("\n")[0]}`
+    );
+    httpError.details = { line };
+    throw httpError;
+  }
+}
+
+// Percorre o CSS como o tokenizador do navegador faz para chaves: ignora o
+// conteúdo de strings ('content: "}"') e de comentários, e respeita escapes.
+// Devolve a posição da primeira chave que fecha sem abertura, ou a profundidade final.
+function scanCssBraces(css) {
+  let depth = 0;
+  let index = 0;
+  while (index < css.length) {
+    const char = css[index];
+    if (char === "\\") {
+      index += 2;
+      continue;
+    }
+    if (char === "/" && css[index + 1] === "*") {
+      const end = css.indexOf("*/", index + 2);
+      if (end === -1) return { depth, unterminatedComment: index };
+      index = end + 2;
+      continue;
+    }
+    if (char === '"' || char === "'") {
+      // Como no navegador, a string termina na aspa de fechamento ou na quebra de linha
+      index += 1;
+      while (index < css.length && css[index] !== char && css[index] !== "\n") {
+        index += css[index] === "\\" ? 2 : 1;
+      }
+      index += 1;
+      continue;
+    }
+    if (char === "{") depth += 1;
+    if (char === "}") {
+      depth -= 1;
+      if (depth < 0) return { depth, unmatchedClose: index };
+    }
+    index += 1;
+  }
+  return { depth };
+}
+
+// O CSS do template é aninhado sob '.card-template' (CSS nesting), então as
+// chaves precisam estar balanceadas para não escapar do escopo. Comentário sem
+// fim também é recusado, porque engoliria a chave que fecha o aninhamento.
+function validateCardTemplateCss(css) {
+  if (/</.test(css)) {
+    throw createHttpError(400, "CSS do template não pode conter '<'.");
+  }
+  if (/@import|url\(\s*["']?(?!data:)/i.test(css)) {
+    throw createHttpError(400, "CSS do template não pode carregar recursos externos (@import ou url() sem data:).");
+  }
+  const { depth, unmatchedClose, unterminatedComment } = scanCssBraces(css);
+  if (unmatchedClose !== undefined) {
+    const line = findLineNumber(css, unmatchedClose);
+    const error = createHttpError(400, `CSS do template com '}' sem abertura na linha ${line}.`);
+    error.details = { line };
+    throw error;
+  }
+  if (unterminatedComment !== undefined) {
+    const line = findLineNumber(css, unterminatedComment);
+    const error = createHttpError(400, `CSS do template com comentário sem fim na linha ${line}.`);
+    error.details = { line };
+    throw error;
+  }
+  if (depth !== 0) {
+    throw createHttpError(400, "CSS do template com chaves desbalanceadas.");
+  }
+}
+
+function validateCardTemplateInput(body) {
+  if (!body || typeof body !== "object") {
+    throw createHttpError(400, "Payload JSON inválido.");
+  }
+
+  const { name, template, css = "" } = body;
+
+  if (typeof name !== "string" || !name.trim()) {
+    throw createHttpError(400, "Campo 'name' é obrigatório.");
+  }
+  if (typeof template !== "string" || !template.trim()) {
+    throw createHttpError(400, "Campo 'template' é obrigatório.");
+  }
+  if (typeof css !== "string") {
+    throw createHttpError(400, "Campo 'css' deve ser texto.");
+  }
+
+  const compiled = compileCardTemplate(template);
+  validateCardTemplateCss(css);
+
+  return { name: name.trim(), template, css, compiled };
+}
+
+async function loadCardTemplates(tenantId) {
+  const { cardTemplatesDir } = resolveTenantDirs(tenantId);
+  const records = tenantRecords(cardTemplates, tenantId);
+  for (const cardTemplate of await readJsonDirectory(cardTemplatesDir, "CardTemplates")) {
+    try {
+      records.set(cardTemplate.id, {
+        ...cardTemplate,
+        compiled: compileCardTemplate(cardTemplate.template),
+      });
+    } catch (error) {
+      logger.error("Falha ao compilar template de card", {
+        scope: "CardTemplates",
+        cardTemplateId: cardTemplate.id,
+        error: error.message,
+      });
+    }
+  }
+  logger.info("Templates de card carregados", {
+    scope: "CardTemplates",
+    tenantId,
+    count: records.size,
+  });
+}
+
+function serializeCardTemplate({ compiled, ...cardTemplate }) {
+  return cardTemplate;
+}
+
+// Impressoras de rede cadastradas por tenant, gravadas no diretório de impressoras.
+// 'ipp'/'ipps' recebem o PDF via Print-Job; 'raw' envia os bytes na porta 9100
+// (PDF para impressoras que o aceitam, ZPL para etiquetadoras Zebra).
+const PRINTER_PROTOCOLS = ["ipp", "ipps", "raw"];
+const PRINTER_LANGUAGES = ["pdf", "zpl"];
+const PRINTER_DEFAULT_PORTS = { ipp: 631, ipps: 631, raw: 9100 };
+const PRINT_TIMEOUT = Number(process.env.PRINT_TIMEOUT) || 30 * 1000;
+const PRINT_MAX_COPIES = 100;
+// Entradas do histórico de impressões guardadas por tenant; as mais antigas saem
+const PRINT_HISTORY_MAX = Number(process.env.PRINT_HISTORY_MAX) || 1000;
+// Impressoras costumam ficar na rede local, mas endereços privados, de loopback e
+// link-local só são aceitos dentro das redes liberadas aqui (IPs ou faixas CIDR,
+// ex.: "192.168.10.0/24,10.0.5.20"). Sem a variável, só endereços públicos.
+const PRINTER_ALLOWED_NETWORKS = parseList(process.env.PRINTER_ALLOWED_NETWORKS);
+const printerAllowedAddresses = new net.BlockList();
+PRINTER_ALLOWED_NETWORKS.forEach((entry) => {
+  const [address, prefix] = entry.split("/");
+  const family = net.isIPv6(address) ? "ipv6" : "ipv4";
+  if (!net.isIP(address) || (prefix !== undefined && !/^\d{1,3}$/.test(prefix))) {
+    logger.error("Rede de impressoras inválida ignorada", { scope: "Impressoras", entry });
+    return;
+  }
+  if (prefix === undefined) {
+    printerAllowedAddresses.addAddress(address, family);
+  } else {
+    printerAllowedAddresses.addSubnet(address, Number(prefix), family);
+  }
+});
+// Nomes de mídia do IPP para os tamanhos de página conhecidos
+const IPP_MEDIA = {
+  A3: "iso_a3_297x420mm",
+  A4: "iso_a4_210x297mm",
+  A5: "iso_a5_148x210mm",
+  A6: "iso_a6_105x148mm",
+  LETTER: "na_letter_8.5x11in",
+  LEGAL: "na_legal_8.5x14in",
+};
+
+const printers = new Map();
+// Histórico de impressões, um JSON por envio
+const printHistory = new Map();
+
+async function loadPrinters(tenantId) {
+  const { printersDir, printsDir } = resolveTenantDirs(tenantId);
+  const records = tenantRecords(printers, tenantId);
+  (await readJsonDirectory(printersDir, "Impressoras")).forEach((printer) => {
+    records.set(printer.id, printer);
+  });
+  const history = tenantRecords(printHistory, tenantId);
+  (await readJsonDirectory(printsDir, "Impressoras")).forEach((entry) => {
+    history.set(entry.id, entry);
+  });
+  await prunePrintHistory(tenantId);
+  logger.info("Impressoras carregadas", { scope: "Impressoras", tenantId, count: records.size });
+}
+
+function validatePrinterInput(body) {
+  if (!body || typeof body !== "object") {
+    throw createHttpError(400, "Payload JSON inválido.");
+  }
+
+  const {
+    id,
+    name,
+    protocol,
+    host,
+    port,
+    queue,
+    language = protocol === "raw" ? "zpl" : "pdf",
+    defaultPaper,
+    dpi,
+    calibration,
+  } = body;
+
+  if (typeof id !== "string" || !/^[a-z0-9][a-z0-9_-]{1,63}$/.test(id)) {
+    throw createHttpError(
+      400,
+      "Campo 'id' deve ter de 2 a 64 caracteres: letras minúsculas, números, '-' ou '_'."
+    );
+  }
+  if (typeof name !== "string" || !name.trim()) {
+    throw createHttpError(400, "Campo 'name' é obrigatório.");
+  }
+  if (!PRINTER_PROTOCOLS.includes(protocol)) {
+    throw createHttpError(
+      400,
+      `Campo 'protocol' deve ser um de: ${PRINTER_PROTOCOLS.join(", ")}.`
+    );
+  }
+  if (typeof host !== "string" || !/^[a-z0-9.:\[\]-]+$/i.test(host)) {
+    throw createHttpError(400, "Campo 'host' deve ser um hostname ou endereço IP.");
+  }
+  if (port !== undefined && (!Number.isInteger(port) || port < 1 || port > 65535)) {
+    throw createHttpError(400, "Campo 'port' deve ser um inteiro entre 1 e 65535.");
+  }
+  if (queue !== undefined && (typeof queue !== "string" || !queue.startsWith("/"))) {
+    throw createHttpError(400, "Campo 'queue' deve ser um caminho iniciado por '/'.");
+  }
+  if (!PRINTER_LANGUAGES.includes(language)) {
+    throw createHttpError(
+      400,
+      `Campo 'language' deve ser um de: ${PRINTER_LANGUAGES.join(", ")}.`
+    );
+  }
+  if (protocol !== "raw" && language !== "pdf") {
+    throw createHttpError(400, "Impressoras IPP recebem apenas 'language' = 'pdf'.");
+  }
+  // Resolução da cabeça de impressão; os rótulos ZPL são rasterizados nela
+  if (dpi !== undefined) {
+    if (language !== "zpl") {
+      throw createHttpError(400, "Campo 'dpi' vale apenas para impressoras ZPL.");
+    }
+    if (!Number.isInteger(dpi) || dpi < RASTER_MIN_DPI || dpi > RASTER_MAX_DPI) {
+      throw createHttpError(
+        400,
+        `Campo 'dpi' deve ser um inteiro entre ${RASTER_MIN_DPI} e ${RASTER_MAX_DPI}.`
+      );
+    }
+  }
+  if (
+    defaultPaper !== undefined &&
+    (typeof defaultPaper !== "string" || !PAGE_SIZES[defaultPaper.toUpperCase()])
+  ) {
+    throw createHttpError(
+      400,
+      `Campo 'defaultPaper' deve ser um de: ${Object.keys(PAGE_SIZES).join(", ")}.`
+    );
+  }
+
+  return {
+    id,
+    name: name.trim(),
+    protocol,
+    host,
+    port: port || PRINTER_DEFAULT_PORTS[protocol],
+    queue: protocol === "raw" ? null : queue || "/ipp/print",
+    language,
+    defaultPaper: defaultPaper ? defaultPaper.toUpperCase() : null,
+    dpi: language === "zpl" ? dpi || RASTER_DEFAULT_DPI : null,
+    calibration:
+      calibration !== undefined && calibration !== null
+        ? validatePrinterCalibration(calibration)
+        : null,
+  };
+}
+
+function isPrinterAddressAllowed(address) {
+  return (
+    !isPrivateAddress(address) ||
+    printerAllowedAddresses.check(address, net.isIPv6(address) ? "ipv6" : "ipv4")
+  );
+}
+
+function createPrinterAddressError(host, address) {
+  return createHttpError(
+    400,
+    `Impressora '${host}' (${address}) fora das redes liberadas em PRINTER_ALLOWED_NETWORKS.`
+  );
+}
+
+// 'lookup' das conexões com impressoras: a checagem vale para o endereço
+// efetivamente conectado, mesmo que o DNS mude depois do cadastro
+function printerLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const blocked = addresses.find(({ address }) => !isPrinterAddressAllowed(address));
+    if (blocked) {
+      return callback(createPrinterAddressError(hostname, blocked.address));
+    }
+
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const printerHttpAgent = new http.Agent({ lookup: printerLookup });
+const printerHttpsAgent = new https.Agent({ lookup: printerLookup });
+
+// Confere o host no cadastro e antes de cada envio (IPs literais não passam pelo
+// 'lookup' das conexões)
+async function checkPrinterHost(host) {
+  const hostname = host.replace(/^\[|\]$/g, "");
+  let addresses;
+  if (net.isIP(hostname)) {
+    addresses = [{ address: hostname }];
+  } else {
+    try {
+      addresses = await dns.promises.lookup(hostname, { all: true });
+    } catch (error) {
+      throw createHttpError(400, `Host da impressora '${hostname}' não encontrado.`);
+    }
+  }
+  const blocked = addresses.find(({ address }) => !isPrinterAddressAllowed(address));
+  if (blocked) {
+    throw createPrinterAddressError(hostname, blocked.address);
+  }
+  return hostname;
+}
+
+function validatePrinterCalibration(calibration) {
+  return validateCalibration(calibration, (field, code, params, message) => {
+    throw createHttpError(400, field ? `Campo 'calibration': ${message}` : `Campo ${message}`);
+  });
+}
+
+// A calibração da impressora vale quando o layout não traz a sua
+function applyPrinterCalibration(layout, printer) {
+  return printer && printer.calibration && !layout.calibration
+    ? { ...layout, calibration: printer.calibration }
+    : layout;
+}
+
+// Codifica uma requisição IPP/1.1 Print-Job (RFC 8010) seguida do documento
+function encodeIppPrintJob({ printerUri, jobName, copies, media, document }) {
+  const chunks = [];
+  const writeAttribute = (valueTag, name, value) => {
+    const nameBuffer = Buffer.from(name, "utf8");
+    const valueBuffer = Buffer.isBuffer(value) ? value : Buffer.from(String(value), "utf8");
+    const header = Buffer.alloc(1 + 2 + nameBuffer.length + 2);
+    header.writeUInt8(valueTag, 0);
+    header.writeUInt16BE(nameBuffer.length, 1);
+    nameBuffer.copy(header, 3);
+    header.writeUInt16BE(valueBuffer.length, 3 + nameBuffer.length);
+    chunks.push(header, valueBuffer);
+  };
+  const integer = (value) => {
+    const buffer = Buffer.alloc(4);
+    buffer.writeInt32BE(value, 0);
+    return buffer;
+  };
+
+  const requestHeader = Buffer.alloc(8);
+  requestHeader.writeUInt16BE(0x0101, 0); // versão 1.1
+  requestHeader.writeUInt16BE(0x0002, 2); // Print-Job
+  requestHeader.writeInt32BE(crypto.randomInt(1, 0x7fffffff), 4);
+  chunks.push(requestHeader);
+
+  chunks.push(Buffer.from([0x01])); // operation-attributes-tag
+  writeAttribute(0x47, "attributes-charset", "utf-8");
+  writeAttribute(0x48, "attributes-natural-language", "pt-br");
+  writeAttribute(0x45, "printer-uri", printerUri);
+  writeAttribute(0x42, "requesting-user-name", "sap_servidor");
+  writeAttribute(0x42, "job-name", jobName);
+  writeAttribute(0x49, "document-format", "application/pdf");
+
+  chunks.push(Buffer.from([0x02])); // job-attributes-tag
+  writeAttribute(0x21, "copies", integer(copies));
+  if (media) {
+    writeAttribute(0x44, "media", media);
+  }
+
+  chunks.push(Buffer.from([0x03])); // end-of-attributes-tag
+  chunks.push(document);
+  return Buffer.concat(chunks);
+}
+
+// Lê o status da resposta IPP e os atributos inteiros/textuais de primeiro nível
+function decodeIppResponse(buffer) {
+  if (buffer.length < 8) {
+    throw new Error("Resposta IPP incompleta.");
+  }
+  const statusCode = buffer.readUInt16BE(2);
+  const attributes = {};
+  let offset = 8;
+  let lastName = null;
+  while (offset < buffer.length) {
+    const tag = buffer.readUInt8(offset);
+    offset += 1;
+    if (tag === 0x03) break;
+    if (tag < 0x10) continue; // delimitador de grupo
+
+    const nameLength = buffer.readUInt16BE(offset);
+    offset += 2;
+    const name = nameLength ? buffer.toString("utf8", offset, offset + nameLength) : lastName;
+    offset += nameLength;
+    const valueLength = buffer.readUInt16BE(offset);
+    offset += 2;
+    const value = buffer.subarray(offset, offset + valueLength);
+    offset += valueLength;
+    lastName = name;
+
+    if (nameLength === 0 || attributes[name] !== undefined) continue;
+    if ((tag === 0x21 || tag === 0x23) && valueLength === 4) {
+      attributes[name] = value.readInt32BE(0);
+    } else if (tag >= 0x40) {
+      attributes[name] = value.toString("utf8");
+    }
+  }
+  return { statusCode, attributes };
+}
+
+async function sendIppJob(printer, { document, jobName, copies, media }) {
+  await checkPrinterHost(printer.host);
+  const scheme = printer.protocol === "ipps" ? "https" : "http";
+  const url = `${scheme}://${printer.host}:${printer.port}${printer.queue}`;
+  const printerUri = `${printer.protocol}://${printer.host}:${printer.port}${printer.queue}`;
+
+  const response = await axios.post(
+    url,
+    encodeIppPrintJob({ printerUri, jobName, copies, media, document }),
+    {
+      headers: { "Content-Type": "application/ipp" },
+      responseType: "arraybuffer",
+      timeout: PRINT_TIMEOUT,
+      maxBodyLength: Infinity,
+      maxRedirects: 0,
+      proxy: false,
+      httpAgent: printerHttpAgent,
+      httpsAgent: printerHttpsAgent,
+      validateStatus: () => true,
+    }
+  );
+  if (response.status !== 200) {
+    throw new Error(`Impressora respondeu HTTP ${response.status}.`);
+  }
+
+  const { statusCode, attributes } = decodeIppResponse(Buffer.from(response.data));
+  // Status 0x0000-0x00FF indicam sucesso (RFC 8011, 13.1.2)
+  if (statusCode > 0x00ff) {
+    const detail = attributes["status-message"] ? `: ${attributes["status-message"]}` : "";
+    throw new Error(
+      `Impressora recusou o job (status IPP 0x${statusCode.toString(16).padStart(4, "0")})${detail}.`
+    );
+  }
+  return {
+    statusCode,
+    jobId: attributes["job-id"] !== undefined ? attributes["job-id"] : null,
+    jobState: attributes["job-state"] !== undefined ? attributes["job-state"] : null,
+  };
+}
+
+// Porta 9100 (JetDirect): o job é aceito quando todos os bytes foram entregues
+// e a conexão foi encerrada sem erro
+async function sendRawJob(printer, { document, copies }) {
+  const host = await checkPrinterHost(printer.host);
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection({ host, port: printer.port, lookup: printerLookup });
+    socket.setTimeout(PRINT_TIMEOUT, () => {
+      socket.destroy(new Error("Tempo esgotado ao enviar para a impressora."));
+    });
+    socket.once("error", reject);
+    socket.once("close", (hadError) => {
+      if (!hadError) resolve({ bytesSent: socket.bytesWritten });
+    });
+    socket.once("connect", () => {
+      for (let copy = 0; copy < copies; copy += 1) {
+        socket.write(document);
+      }
+      socket.end();
+    });
+  });
+}
+
+async function savePrintHistoryEntry(tenantId, entry) {
+  const { printsDir } = resolveTenantDirs(tenantId);
+  await writeJsonFile(path.join(printsDir, `${entry.id}.json`), entry);
+  tenantRecords(printHistory, tenantId).set(entry.id, entry);
+  await prunePrintHistory(tenantId);
+}
+
+// Mantém só as PRINT_HISTORY_MAX entradas mais recentes do tenant, em memória e em disco
+async function prunePrintHistory(tenantId) {
+  const history = tenantRecords(printHistory, tenantId);
+  if (history.size <= PRINT_HISTORY_MAX) return;
+
+  const { printsDir } = resolveTenantDirs(tenantId);
+  const oldest = Array.from(history.values())
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+    .slice(0, history.size - PRINT_HISTORY_MAX);
+  for (const entry of oldest) {
+    history.delete(entry.id);
+    await fsPromises.unlink(path.join(printsDir, `${entry.id}.json`)).catch((error) => {
+      if (error.code !== "ENOENT") throw error;
+    });
+  }
+}
+
+// Gera o documento no formato da impressora: rótulos ZPL ou o PDF
+async function renderPrintDocument(printer, payload) {
+  if (printer.language === "zpl") {
+    // Impressoras cadastradas antes do campo 'dpi' ficam no padrão de 203 dpi
+    const dpi = printer.dpi || RASTER_DEFAULT_DPI;
+    const { cards, warnings } = await renderCardImages({ payload, dpi });
+    const offsets = resolveZplOffsets(payload.layout.calibration, dpi);
+    return {
+      document: Buffer.from(
+        `${cards.map(({ image }) => convertPngToZpl(image, offsets)).join("\n")}\n`,
+        "utf8"
+      ),
+      warnings,
+    };
+  }
+  const { pdfBuffer, warnings } = await renderPdfBuffer({ payload });
+  return { document: Buffer.from(pdfBuffer), warnings };
+}
+
+// Gera o documento com 'render' e envia para a impressora; o resultado (aceito
+// ou falha) fica registrado no histórico do tenant. 'details' vai junto na entrada.
+async function submitPrintJob({ tenantId, printer, copies, render, details = {} }) {
+  const entry = {
+    id: uuidv4(),
+    printerId: printer.id,
+    printerName: printer.name,
+    protocol: printer.protocol,
+    language: printer.language,
+    copies,
+    ...details,
+    status: "pending",
+    bytes: null,
+    ipp: null,
+    error: null,
+    warnings: [],
+    createdAt: new Date().toISOString(),
+    finishedAt: null,
+  };
+
+  try {
+    const { document, warnings } = await render();
+    entry.warnings = warnings;
+    entry.bytes = document.length;
+
+    if (printer.protocol === "raw") {
+      await sendRawJob(printer, { document, copies });
+    } else {
+      entry.ipp = await sendIppJob(printer, {
+        document,
+        copies,
+        jobName: `cards_${entry.id.slice(0, 8)}`,
+        media: printer.defaultPaper ? IPP_MEDIA[printer.defaultPaper] : undefined,
+      });
+    }
+    entry.status = "accepted";
+    logger.info("Job de impressão aceito", {
+      scope: "Impressoras",
+      printerId: printer.id,
+      printId: entry.id,
+    });
+  } catch (error) {
+    entry.status = "failed";
+    entry.error = error.message;
+    logger.error("Falha ao imprimir", {
+      scope: "Impressoras",
+      printerId: printer.id,
+      printId: entry.id,
+      error: error.message,
+    });
+  }
+
+  entry.finishedAt = new Date().toISOString();
+  await savePrintHistoryEntry(tenantId, entry);
+  return entry;
+}
+
+// Renderiza o payload no formato da impressora e envia
+async function printPayload({ printer, payload, copies }) {
+  return submitPrintJob({
+    tenantId: payload.tenantId,
+    printer,
+    copies,
+    details: { materials: payload.materials.length, template: payload.template },
+    render: () => renderPrintDocument(printer, payload),
+  });
+}
+
+// Valida os campos do layout e devolve o layout normalizado com os valores padrão.
+// 'headerLogo' indica que a primeira página terá o cabeçalho com o logo, que
+// ocupa espaço acima do grid. Todos os problemas saem juntos num erro de
+// validação, com o caminho de cada campo a partir de 'path' (ex.: layout.cols).
+function validateLayout(layout, tenantId, options = {}) {
+  const { layout: normalized, errors } = checkLayout(layout, tenantId, options);
+  if (errors.length > 0) {
+    throw createValidationError(errors);
+  }
+  return normalized;
+}
+
+// Devolve { layout, errors, codeType }: o layout normalizado ou, com problemas,
+// null e a lista de erros. 'codeType' é o tipo de código do layout (ou "qr") para
+// conferir os materiais mesmo com outros campos do layout inválidos.
+function checkLayout(layout, tenantId, { headerLogo = false, path = "layout" } = {}) {
+  if (!layout || typeof layout !== "object") {
+    return {
+      layout: null,
+      codeType: "qr",
+      errors: [
+        {
+          path,
+          code: "required",
+          params: { field: "layout" },
+          message: "'layout' é obrigatório.",
+        },
+      ],
+    };
+  }
+
+  const errors = [];
+  // Cada regra registra o problema e a validação segue para as próximas
+  const report = (field, code, params, message) => {
+    errors.push({ path: field ? `${path}.${field}` : path, code, params, message });
+  };
+
+  const {
+    cols,
+    rows,
+    marginTop,
+    marginBottom,
+    marginLeft,
+    marginRight,
+    gapCol,
+    gapRow,
+    rotateCard,
+    cardWidth,
+    cardHeight,
+    cardPadding,
+    cardMarginTop,
+    cardMarginBottom,
+    companyName,
+    companyFont,
+    nameFont,
+    maxCharsName,
+    codeFont,
+    maxCharsCode,
+    qrSize,
+    qrPayload,
+    qrErrorCorrection,
+    qrMargin,
+    codeType,
+    barcodeHeight,
+    pageSize,
+    orientation,
+    elements,
+    cardTemplateId,
+    startPosition,
+    emptySlots,
+    nameFit,
+    codeFit,
+    cutMarks,
+    cutMarkLength,
+    cutMarkOffset,
+    bleed,
+    cardBackground,
+    cardBorder,
+    calibration,
+  } = layout;
+
+  const requiredLayoutFields = [
+    ["cols", cols],
+    ["rows", rows],
+    ["marginTop", marginTop],
+    ["marginBottom", marginBottom],
+    ["marginLeft", marginLeft],
+    ["marginRight", marginRight],
+    ["gapCol", gapCol],
+    ["gapRow", gapRow],
+    ["cardWidth", cardWidth],
+    ["cardHeight", cardHeight],
+  ];
+
+  requiredLayoutFields.forEach(([key, value]) => {
+    if (typeof value !== "number" || Number.isNaN(value)) {
+      report(key, "number", { field: key }, `Campo de layout '${key}' deve ser numérico.`);
+    }
+  });
+
+  if (rotateCard !== undefined && typeof rotateCard !== "number") {
+    report("rotateCard", "number", { field: "rotateCard" }, "Campo 'rotateCard' deve ser numérico.");
+  }
+  // O grid (posições, encaixe na página e espaços entre cards) só é conferido
+  // com as medidas válidas
+  const hasValidGrid = errors.length === 0;
+
+  // 'startPosition' conta a partir de 1, da esquerda para a direita e de cima para
+  // baixo; também aceita { row, col }
+  const slotsPerPage = cols * rows;
+  let normalizedStartPosition = 1;
+  if (startPosition !== undefined && hasValidGrid) {
+    const isValidIndex =
+      Number.isInteger(startPosition) && startPosition >= 1 && startPosition <= slotsPerPage;
+    const isValidCell =
+      startPosition !== null &&
+      typeof startPosition === "object" &&
+      Number.isInteger(startPosition.row) &&
+      Number.isInteger(startPosition.col) &&
+      startPosition.row >= 1 &&
+      startPosition.row <= rows &&
+      startPosition.col >= 1 &&
+      startPosition.col <= cols;
+    if (!isValidIndex && !isValidCell) {
+      report(
+        "startPosition",
+        "start_position",
+        { max: slotsPerPage, cols, rows },
+        `Campo 'startPosition' deve ser uma posição de 1 a ${slotsPerPage} ou { row, col } dentro do grid ${cols}x${rows}.`
+      );
+    } else {
+      normalizedStartPosition = isValidIndex
+        ? startPosition
+        : (startPosition.row - 1) * cols + startPosition.col;
+    }
+  }
+
+  const normalizeLayoutFit = (fit, field) =>
+    fit !== undefined
+      ? validateTextFit(fit, (fitField, code, params, message) =>
+          report(`${field}.${fitField}`, code, params, `Campo '${field}': ${message}`)
+        )
+      : undefined;
+  const normalizedNameFit = normalizeLayoutFit(nameFit, "nameFit");
+  const normalizedCodeFit = normalizeLayoutFit(codeFit, "codeFit");
+
+  if (cutMarks !== undefined && typeof cutMarks !== "boolean") {
+    report("cutMarks", "boolean", { field: "cutMarks" }, "Campo 'cutMarks' deve ser booleano.");
+  }
+  const invalidMarkFields = [
+    ["cutMarkLength", cutMarkLength, 0, CUT_MARK_MAX_LENGTH],
+    ["cutMarkOffset", cutMarkOffset, 0, CUT_MARK_MAX_OFFSET],
+    ["bleed", bleed, 0, BLEED_MAX],
+  ].filter(([key, value, min, max]) => {
+    if (value !== undefined && (typeof value !== "number" || !(value >= min && value <= max))) {
+      report(
+        key,
+        "number_range",
+        { field: key, min, max, unit: "mm" },
+        `Campo '${key}' deve ser um número entre ${min} e ${max} (mm).`
+      );
+      return true;
+    }
+    return false;
+  });
+  if (cutMarkLength === 0) {
+    report(
+      "cutMarkLength",
+      "positive_number",
+      { field: "cutMarkLength", unit: "mm" },
+      "Campo 'cutMarkLength' deve ser maior que zero."
+    );
+  }
+  if (
+    cardBackground !== undefined &&
+    (typeof cardBackground !== "string" || !CSS_COLOR_PATTERN.test(cardBackground))
+  ) {
+    report(
+      "cardBackground",
+      "color",
+      { field: "cardBackground", example: "#fde68a" },
+      "Campo 'cardBackground' deve ser uma cor hexadecimal, ex.: #fde68a."
+    );
+  }
+  // Sem cor de fundo a sangria seria branca sobre papel branco
+  if (bleed > 0 && cardBackground === undefined) {
+    report(
+      "bleed",
+      "bleed_requires_background",
+      {},
+      "Campo 'bleed' estende a cor de fundo do card além do corte: informe 'cardBackground' (com template de card, a mesma cor do fundo do template)."
+    );
+  }
+  if (cardBorder !== undefined && !CARD_BORDER_STYLES.includes(cardBorder)) {
+    report(
+      "cardBorder",
+      "enum",
+      { field: "cardBorder", values: CARD_BORDER_STYLES },
+      `Campo 'cardBorder' deve ser um de: ${CARD_BORDER_STYLES.join(", ")}.`
+    );
+  }
+  const normalizedCalibration =
+    calibration !== undefined
+      ? validateCalibration(calibration, (field, code, params, message) =>
+          report(
+            field ? `calibration.${field}` : "calibration",
+            code,
+            params,
+            field ? `Campo 'calibration': ${message}` : `Campo ${message}`
+          )
+        )
+      : undefined;
+
+  if (emptySlots !== undefined && !EMPTY_SLOT_MODES.includes(emptySlots)) {
+    report(
+      "emptySlots",
+      "enum",
+      { field: "emptySlots", values: EMPTY_SLOT_MODES },
+      `Campo 'emptySlots' deve ser um de: ${EMPTY_SLOT_MODES.join(", ")}.`
+    );
+  }
+
+  let hasValidPage = true;
+  if (pageSize !== undefined) {
+    const isNamedSize =
+      typeof pageSize === "string" && PAGE_SIZES[pageSize.toUpperCase()];
+    const isCustomSize =
+      pageSize !== null &&
+      typeof pageSize === "object" &&
+      typeof pageSize.width === "number" &&
+      typeof pageSize.height === "number" &&
+      pageSize.width > 0 &&
+      pageSize.height > 0;
+    if (!isNamedSize && !isCustomSize) {
+      hasValidPage = false;
+      report(
+        "pageSize",
+        "page_size",
+        { sizes: Object.keys(PAGE_SIZES) },
+        `Campo 'pageSize' deve ser um de: ${Object.keys(PAGE_SIZES).join(", ")}, ou { width, height } em mm.`
+      );
+    }
+  }
+
+  if (orientation !== undefined && !PAGE_ORIENTATIONS.includes(orientation)) {
+    hasValidPage = false;
+    report(
+      "orientation",
+      "enum",
+      { field: "orientation", values: PAGE_ORIENTATIONS },
+      `Campo 'orientation' deve ser um de: ${PAGE_ORIENTATIONS.join(", ")}.`
+    );
+  }
+
+  const { pageWidth, pageHeight } = hasValidPage
+    ? resolvePageDimensions(pageSize, orientation)
+    : {};
+  if (hasValidGrid && hasValidPage) {
+    const { gridColWidth, gridRowHeight } = resolveGridCellSize({
+      rotateCard,
+      cardWidth,
+      cardHeight,
+    });
+    const usedWidth =
+      marginLeft + marginRight + cols * gridColWidth + (cols - 1) * gapCol;
+    // Com um elemento 'logo' nos cards, o cabeçalho não é impresso (ver buildHtml)
+    const headerHeight =
+      headerLogo &&
+      !(Array.isArray(elements) && elements.some((element) => element && element.type === "logo"))
+        ? PAGE_HEADER_LOGO_HEIGHT + PAGE_HEADER_LOGO_GAP
+        : 0;
+    const usedHeight =
+      marginTop + marginBottom + headerHeight + rows * gridRowHeight + (rows - 1) * gapRow;
+    const overflows = [];
+    if (usedWidth - pageWidth > 0.01) {
+      overflows.push(
+        `largura excede em ${(usedWidth - pageWidth).toFixed(2)} mm (${usedWidth.toFixed(2)} de ${pageWidth} mm)`
+      );
+    }
+    if (usedHeight - pageHeight > 0.01) {
+      const headerNote =
+        headerHeight > 0 ? `, incluindo ${headerHeight} mm do cabeçalho com o logo` : "";
+      overflows.push(
+        `altura excede em ${(usedHeight - pageHeight).toFixed(2)} mm (${usedHeight.toFixed(2)} de ${pageHeight} mm${headerNote})`
+      );
+    }
+    if (overflows.length > 0) {
+      report(
+        null,
+        "grid_overflow",
+        {
+          cols,
+          rows,
+          usedWidth: Number(usedWidth.toFixed(2)),
+          usedHeight: Number(usedHeight.toFixed(2)),
+          pageWidth,
+          pageHeight,
+          headerHeight,
+        },
+        `Grid de ${cols}x${rows} cards não cabe na página: ${overflows.join("; ")}.`
+      );
+    }
+  }
+
+  // Sangria e marcas de corte ocupam o espaço entre os cards: precisam caber nele
+  // para não invadir o card vizinho (nas bordas externas vão para a margem)
+  const normalizedBleed = bleed !== undefined ? bleed : 0;
+  const normalizedCutMarkLength = cutMarkLength !== undefined ? cutMarkLength : 3;
+  const normalizedCutMarkOffset = cutMarkOffset !== undefined ? cutMarkOffset : 1;
+  const gutters = [
+    ["gapCol", gapCol, cols],
+    ["gapRow", gapRow, rows],
+  ].filter(([, , count]) => hasValidGrid && invalidMarkFields.length === 0 && count > 1);
+  gutters.forEach(([key, gap]) => {
+    if (normalizedBleed * 2 - gap > 0.01) {
+      report(
+        "bleed",
+        "bleed_exceeds_gap",
+        { field: key, bleed: normalizedBleed, min: normalizedBleed * 2, gap },
+        `Sangria de ${normalizedBleed} mm em cada card exige '${key}' de pelo menos ${normalizedBleed * 2} mm (atual: ${gap} mm).`
+      );
+    }
+    const cutMarkReach = normalizedBleed + normalizedCutMarkOffset + normalizedCutMarkLength;
+    if (cutMarks === true && cutMarkReach - gap > 0.01) {
+      report(
+        "cutMarks",
+        "cut_marks_exceed_gap",
+        { field: key, reach: cutMarkReach, gap },
+        `Marcas de corte avançam ${cutMarkReach} mm além do card (bleed + cutMarkOffset + cutMarkLength), mais que '${key}' (${gap} mm); reduza as marcas ou aumente o espaço entre os cards.`
+      );
+    }
+  });
+
+  if (
+    cardTemplateId !== undefined &&
+    !tenantRecords(cardTemplates, tenantId).has(cardTemplateId)
+  ) {
+    report(
+      "cardTemplateId",
+      "card_template_not_found",
+      { id: cardTemplateId },
+      `Template de card '${cardTemplateId}' não encontrado.`
+    );
+  }
+
+  if (codeType !== undefined && !isValidCodeType(codeType)) {
+    report(
+      "codeType",
+      "invalid_code_type",
+      {},
+      `Campo 'codeType' deve ser um (ou uma lista) de: ${CODE_TYPES.join(", ")}.`
+    );
+  }
+
+  if (
+    barcodeHeight !== undefined &&
+    (typeof barcodeHeight !== "number" || !(barcodeHeight > 0))
+  ) {
+    report(
+      "barcodeHeight",
+      "positive_number",
+      { field: "barcodeHeight", unit: "mm" },
+      "Campo 'barcodeHeight' deve ser um número maior que zero."
+    );
+  }
+
+  const normalizedLayoutCodeType =
+    codeType !== undefined && isValidCodeType(codeType) ? codeType : "qr";
+
+  if (qrPayload !== undefined && (typeof qrPayload !== "string" || !qrPayload)) {
+    report(
+      "qrPayload",
+      "non_empty_string",
+      { field: "qrPayload" },
+      "Campo 'qrPayload' deve ser um texto não vazio."
+    );
+  }
+
+  if (
+    qrErrorCorrection !== undefined &&
+    !QR_ERROR_CORRECTION_LEVELS.includes(qrErrorCorrection)
+  ) {
+    report(
+      "qrErrorCorrection",
+      "enum",
+      { field: "qrErrorCorrection", values: QR_ERROR_CORRECTION_LEVELS },
+      `Campo 'qrErrorCorrection' deve ser um de: ${QR_ERROR_CORRECTION_LEVELS.join(", ")}.`
+    );
+  }
+
+  if (
+    qrMargin !== undefined &&
+    (typeof qrMargin !== "number" || !Number.isInteger(qrMargin) || qrMargin < 0)
+  ) {
+    report(
+      "qrMargin",
+      "non_negative_integer",
+      { field: "qrMargin" },
+      "Campo 'qrMargin' deve ser um inteiro maior ou igual a zero."
+    );
+  }
+
+  const normalizedElements =
+    elements !== undefined ? validateCardElements(elements, report) : undefined;
+
+  if (errors.length > 0) {
+    return { layout: null, errors, codeType: normalizedLayoutCodeType };
+  }
+
+  return {
+    errors,
+    codeType: normalizedLayoutCodeType,
+    layout: {
+      cols,
+      rows,
+      marginTop,
+      marginBottom,
+      marginLeft,
+      marginRight,
+      gapCol,
+      gapRow,
+      rotateCard: rotateCard || 0,
+      cardWidth,
+      cardHeight,
+      cardPadding: cardPadding !== undefined ? cardPadding : 8,
+      cardMarginTop: cardMarginTop !== undefined ? cardMarginTop : 4,
+      cardMarginBottom: cardMarginBottom !== undefined ? cardMarginBottom : 4,
+      companyName: companyName !== undefined ? companyName : "Appsculpt",
+      companyFont: companyFont !== undefined ? companyFont : 3.5,
+      nameFont: nameFont !== undefined ? nameFont : 4,
+      maxCharsName: maxCharsName !== undefined ? maxCharsName : undefined,
+      codeFont: codeFont !== undefined ? codeFont : 3.2,
+      maxCharsCode: maxCharsCode !== undefined ? maxCharsCode : undefined,
+      qrSize: qrSize !== undefined ? qrSize : 32,
+      qrPayload: qrPayload !== undefined ? qrPayload : "{codigo}",
+      qrErrorCorrection: qrErrorCorrection !== undefined ? qrErrorCorrection : "M",
+      qrMargin: qrMargin !== undefined ? qrMargin : 4,
+      codeType: normalizedLayoutCodeType,
+      barcodeHeight: barcodeHeight !== undefined ? barcodeHeight : 12,
+      pageSize: pageSize !== undefined ? pageSize : "A4",
+      orientation:
+        orientation !== undefined ? orientation : pageWidth > pageHeight ? "landscape" : "portrait",
+      pageWidth,
+      pageHeight,
+      elements: normalizedElements,
+      cardTemplateId,
+      startPosition: normalizedStartPosition,
+      emptySlots: emptySlots !== undefined ? emptySlots : "placeholder",
+      nameFit: normalizedNameFit,
+      codeFit: normalizedCodeFit,
+      cutMarks: cutMarks === true,
+      cutMarkLength: normalizedCutMarkLength,
+      cutMarkOffset: normalizedCutMarkOffset,
+      bleed: normalizedBleed,
+      cardBackground: cardBackground !== undefined ? cardBackground : "#fff",
+      cardBorder: cardBorder !== undefined ? cardBorder : "solid",
+      calibration: normalizedCalibration,
+    },
+  };
+}
+
+function isValidCodeType(value) {
+  return (
+    (typeof value === "string" && CODE_TYPES.includes(value)) ||
+    (Array.isArray(value) &&
+      value.length > 0 &&
+      value.every((item) => CODE_TYPES.includes(item)))
+  );
+}
+
+// 'tenant' é o tenant autenticado; seus 'defaults' (ex.: companyName) ficam por
+// baixo do template e do layout enviado. 'defaultPageSize' vale quando nem o
+// layout nem o preset definem 'pageSize' (ex.: papel padrão da impressora).
+// 'headerLogo' reserva o cabeçalho do logo na checagem do grid; 'basePath'
+// localiza o corpo nos erros de validação (ex.: sections[2]). Com a lista 'errors'
+// os problemas entram nela em vez de interromper: o layout volta null e
+// 'codeType' ainda serve para conferir os materiais.
+function resolvePayloadLayout(
+  body,
+  tenant = getDefaultTenant(),
+  { defaultPageSize, headerLogo = false, basePath = "", errors } = {}
+) {
+  const path = joinPath(basePath, "layout");
+  let template;
+  let resolvedLayout;
+  try {
+    let templateLayout;
+    ({ layout: templateLayout, template } = resolveLayoutTemplate(body, tenant.id, basePath));
+    const mergedLayout =
+      templateLayout && typeof templateLayout === "object"
+        ? { ...(tenant.defaults || {}), ...templateLayout }
+        : templateLayout;
+    resolvedLayout = resolveLayoutPreset(mergedLayout, tenant.id, path);
+  } catch (error) {
+    if (!errors || !error.validationErrors) throw error;
+    pushValidationErrors(errors, error.validationErrors);
+    return { layout: null, template: null, codeType: "qr" };
+  }
+
+  const result = checkLayout(
+    defaultPageSize && resolvedLayout && resolvedLayout.pageSize === undefined
+      ? { ...resolvedLayout, pageSize: defaultPageSize }
+      : resolvedLayout,
+    tenant.id,
+    { headerLogo, path }
+  );
+  if (result.errors.length > 0) {
+    if (!errors) throw createValidationError(result.errors);
+    pushValidationErrors(errors, result.errors);
+  }
+  return { layout: result.layout, template, codeType: result.codeType };
+}
+
+// Todos os problemas de um material, cada um com o campo, um código estável
+// (traduzido em VALIDATION_MESSAGES_EN) e a mensagem em pt-BR
+function findMaterialProblems(material, layout) {
+  const problems = [];
+  ["nome", "codigo"].forEach((field) => {
+    if (!material[field]) {
+      problems.push({
+        field,
+        code: "required",
+        params: { field },
+        message: `'${field}' é obrigatório.`,
+      });
+    }
+  });
+
+  if (material.quantidade !== undefined) {
+    const quantity = Number(material.quantidade);
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_MATERIAL_COPIES) {
+      problems.push({
+        field: "quantidade",
+        code: "invalid_quantity",
+        message: `'quantidade' deve ser um inteiro entre 1 e ${MAX_MATERIAL_COPIES}.`,
+      });
+    }
+  }
+
+  if (material.codeType !== undefined && !isValidCodeType(material.codeType)) {
+    // Numa lista, aponta cada item inválido (o mesmo caminho do erro do esquema)
+    const invalidItems = Array.isArray(material.codeType)
+      ? material.codeType.flatMap((item, index) => (CODE_TYPES.includes(item) ? [] : [index]))
+      : [];
+    const fields = invalidItems.length
+      ? invalidItems.map((index) => `codeType[${index}]`)
+      : ["codeType"];
+    fields.forEach((field) => {
+      problems.push({
+        field,
+        code: "invalid_code_type",
+        message: `'codeType' deve ser um (ou uma lista) de: ${CODE_TYPES.join(", ")}.`,
+      });
+    });
+  } else if (material.codigo) {
+    resolveCodeTypes(material, layout).forEach((type) => {
+      const problem = validateBarcodeValue(type, String(material.codigo));
+      if (problem) {
+        problems.push({ field: "codigo", params: { codeType: type }, ...problem });
+      }
+    });
+  }
+
+  return problems;
+}
+
+// 'label' identifica o material nas mensagens (posição no array ou linha da planilha)
+function validateMaterial(material, layout, label) {
+  const [problem] = findMaterialProblems(material, layout);
+  if (problem) {
+    throw createHttpError(400, `${label}: ${problem.message}`);
+  }
+}
+
+// Problemas de todos os materiais, com o caminho de cada um (ex.: materials[12].codigo)
+// Itens que não são objetos (e 'materials' que não é lista) ficam para o esquema
+function collectMaterialErrors(materials, layout, basePath) {
+  if (!Array.isArray(materials)) return [];
+  return materials.flatMap((material, index) => {
+    if (!material || typeof material !== "object") return [];
+    return findMaterialProblems(material, layout).map(({ field, code, params, message }) => ({
+      path: `${basePath}[${index}].${field}`,
+      code,
+      params,
+      message,
+    }));
+  });
+}
+
+const MAX_SECTIONS = 50;
+const SECTION_TITLE_MAX_LENGTH = 200;
+const DEFAULT_COVER_TITLE = "Cards de Materiais";
+
+// Junta 'entries' à lista sem repetir erros: seções sem layout próprio repetem os
+// erros do layout do payload
+function pushValidationErrors(errors, entries) {
+  entries.forEach((entry) => {
+    const isDuplicate = errors.some(
+      (existing) => existing.path === entry.path && existing.message === entry.message
+    );
+    if (!isDuplicate) errors.push(entry);
+  });
+}
+
+function validateTitle(value, path, errors) {
+  if (
+    typeof value !== "string" ||
+    value.trim() === "" ||
+    value.length > SECTION_TITLE_MAX_LENGTH
+  ) {
+    errors.push({
+      path,
+      code: "title",
+      params: { field: path, max: SECTION_TITLE_MAX_LENGTH },
+      message: `Campo '${path}' deve ser um texto de 1 a ${SECTION_TITLE_MAX_LENGTH} caracteres.`,
+    });
+    return undefined;
+  }
+  return value.trim();
+}
+
+// Cada seção usa o próprio layout/template ou, sem eles, os do payload. Os
+// problemas (inclusive dos materiais) vão para 'errors'; a seção com layout
+// inválido fica com layout null.
+function validateSections(body, tenant, options, errors) {
+  const { sections } = body;
+  if (!Array.isArray(sections) || sections.length === 0 || sections.length > MAX_SECTIONS) {
+    errors.push({
+      path: "sections",
+      code: "sections",
+      params: { max: MAX_SECTIONS },
+      message: `Campo 'sections' deve ser um array com 1 a ${MAX_SECTIONS} seções.`,
+    });
+    return [];
+  }
+
+  return sections.map((section, sectionIndex) => {
+    const path = `sections[${sectionIndex}]`;
+    if (!section || typeof section !== "object") {
+      errors.push({
+        path,
+        code: "object",
+        params: { field: path },
+        message: `Seção na posição ${sectionIndex} deve ser um objeto.`,
+      });
+      return { title: undefined, layout: null, template: undefined, materials: [] };
+    }
+    const title = validateTitle(section.title, `${path}.title`, errors);
+    const hasOwnLayout =
+      section.layout !== undefined || section.templateId !== undefined;
+    // O cabeçalho com o logo só sai na primeira página do documento, que é a
+    // da primeira seção quando não há capa
+    const { layout, template, codeType } = resolvePayloadLayout(
+      hasOwnLayout ? section : body,
+      tenant,
+      {
+        ...options,
+        headerLogo: options.headerLogo && sectionIndex === 0 && !body.cover,
+        basePath: hasOwnLayout ? path : "",
+        errors,
+      }
+    );
+
+    let { materials } = section;
+    if (!Array.isArray(materials) || materials.length === 0) {
+      errors.push({
+        path: `${path}.materials`,
+        code: "non_empty_array",
+        params: { field: "materials" },
+        message: "'materials' deve ser um array com pelo menos um item.",
+      });
+      materials = [];
+    }
+    errors.push(...collectMaterialErrors(materials, { codeType }, `${path}.materials`));
+
+    return { title, layout, template, materials };
+  });
+}
+
+function validateCover(cover, errors) {
+  if (cover === undefined || cover === false) return null;
+  if (cover === true) return { title: DEFAULT_COVER_TITLE };
+  if (!cover || typeof cover !== "object") {
+    errors.push({
+      path: "cover",
+      code: "cover",
+      params: {},
+      message: "Campo 'cover' deve ser booleano ou um objeto.",
+    });
+    return null;
+  }
+  const { title, subtitle } = cover;
+  return {
+    title:
+      title !== undefined ? validateTitle(title, "cover.title", errors) : DEFAULT_COVER_TITLE,
+    subtitle:
+      subtitle !== undefined ? validateTitle(subtitle, "cover.subtitle", errors) : undefined,
+  };
+}
+
+// Esquema JSON do payload de geração, publicado em GET /schema. Descreve a
+// estrutura; regras que dependem do preset/template resolvido ficam em validateLayout.
+const TEXT_FIT_SCHEMA = {
+  type: "object",
+  required: ["mode"],
+  properties: {
+    mode: { enum: TEXT_FIT_MODES },
+    minFontSize: { type: "number", exclusiveMinimum: 0 },
+    maxLines: { type: "integer", minimum: 1 },
+  },
+};
+// 'pattern' vale só para texto e 'items' só para listas
+const CODE_TYPE_SCHEMA = {
+  type: ["string", "array"],
+  pattern: `^(${CODE_TYPES.join("|")})$`,
+  minItems: 1,
+  items: { enum: CODE_TYPES },
+};
+const LAYOUT_SCHEMA = {
+  type: "object",
+  properties: {
+    preset: { type: "string" },
+    pageSize: {
+      type: ["string", "object"],
+      required: ["width", "height"],
+      properties: {
+        width: { type: "number", exclusiveMinimum: 0 },
+        height: { type: "number", exclusiveMinimum: 0 },
+      },
+    },
+    orientation: { enum: PAGE_ORIENTATIONS },
+    cols: { type: "integer", minimum: 1 },
+    rows: { type: "integer", minimum: 1 },
+    marginTop: { type: "number" },
+    marginBottom: { type: "number" },
+    marginLeft: { type: "number" },
+    marginRight: { type: "number" },
+    gapCol: { type: "number" },
+    gapRow: { type: "number" },
+    cardWidth: { type: "number", exclusiveMinimum: 0 },
+    cardHeight: { type: "number", exclusiveMinimum: 0 },
+    rotateCard: { type: "number" },
+    cardPadding: { type: "number", minimum: 0 },
+    cardMarginTop: { type: "number", minimum: 0 },
+    cardMarginBottom: { type: "number", minimum: 0 },
+    companyName: { type: "string" },
+    companyFont: { type: "number", exclusiveMinimum: 0 },
+    nameFont: { type: "number", exclusiveMinimum: 0 },
+    codeFont: { type: "number", exclusiveMinimum: 0 },
+    maxCharsName: { type: "integer", minimum: 1 },
+    maxCharsCode: { type: "integer", minimum: 1 },
+    qrSize: { type: "number", exclusiveMinimum: 0 },
+    qrPayload: { type: "string", minLength: 1 },
+    qrErrorCorrection: { enum: QR_ERROR_CORRECTION_LEVELS },
+    qrMargin: { type: "integer", minimum: 0 },
+    codeType: CODE_TYPE_SCHEMA,
+    barcodeHeight: { type: "number", exclusiveMinimum: 0 },
+    elements: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["type"],
+        properties: {
+          type: { enum: CARD_ELEMENT_TYPES },
+          fit: TEXT_FIT_SCHEMA,
+        },
+      },
+    },
+    cardTemplateId: { type: "string" },
+    startPosition: {
+      type: ["integer", "object"],
+      minimum: 1,
+      required: ["row", "col"],
+      properties: {
+        row: { type: "integer", minimum: 1 },
+        col: { type: "integer", minimum: 1 },
+      },
+    },
+    emptySlots: { enum: EMPTY_SLOT_MODES },
+    nameFit: TEXT_FIT_SCHEMA,
+    codeFit: TEXT_FIT_SCHEMA,
+    cutMarks: { type: "boolean" },
+    cutMarkLength: { type: "number", exclusiveMinimum: 0, maximum: CUT_MARK_MAX_LENGTH },
+    cutMarkOffset: { type: "number", minimum: 0, maximum: CUT_MARK_MAX_OFFSET },
+    bleed: { type: "number", minimum: 0, maximum: BLEED_MAX },
+    cardBackground: { type: "string" },
+    cardBorder: { enum: CARD_BORDER_STYLES },
+    calibration: {
+      type: "object",
+      properties: {
+        offsetX: {
+          type: "number",
+          minimum: -CALIBRATION_MAX_OFFSET,
+          maximum: CALIBRATION_MAX_OFFSET,
+        },
+        offsetY: {
+          type: "number",
+          minimum: -CALIBRATION_MAX_OFFSET,
+          maximum: CALIBRATION_MAX_OFFSET,
+        },
+        scaleX: {
+          type: "number",
+          minimum: CALIBRATION_MIN_SCALE,
+          maximum: CALIBRATION_MAX_SCALE,
+        },
+        scaleY: {
+          type: "number",
+          minimum: CALIBRATION_MIN_SCALE,
+          maximum: CALIBRATION_MAX_SCALE,
+        },
+      },
+    },
+  },
+};
+// Campos extras do material ficam disponíveis para qrPayload e templates de card
+const MATERIAL_SCHEMA = {
+  type: "object",
+  required: ["nome", "codigo"],
+  properties: {
+    nome: { type: ["string", "number"], minLength: 1 },
+    codigo: { type: ["string", "number"], minLength: 1 },
+    codeType: CODE_TYPE_SCHEMA,
+    // Texto numérico é aceito porque a importação de planilhas entrega texto
+    quantidade: {
+      type: ["integer", "string"],
+      minimum: 1,
+      maximum: MAX_MATERIAL_COPIES,
+      pattern: "^[0-9]+$",
+    },
+  },
+};
+const TITLE_SCHEMA = { type: "string", minLength: 1, maxLength: SECTION_TITLE_MAX_LENGTH };
+const PAYLOAD_SCHEMA = {
+  $schema: "http://json-schema.org/draft-07/schema#",
+  title: "Payload de geração de cards",
+  type: "object",
+  properties: {
+    logoUrl: { type: "string" },
+    layout: LAYOUT_SCHEMA,
+    templateId: { type: "string" },
+    version: { type: "integer" },
+    materials: { type: "array", minItems: 1, items: MATERIAL_SCHEMA },
+    sections: {
+      type: "array",
+      minItems: 1,
+      maxItems: MAX_SECTIONS,
+      items: {
+        type: "object",
+        required: ["title", "materials"],
+        properties: {
+          title: TITLE_SCHEMA,
+          layout: LAYOUT_SCHEMA,
+          templateId: { type: "string" },
+          version: { type: "integer" },
+          materials: { type: "array", minItems: 1, items: MATERIAL_SCHEMA },
+        },
+      },
+    },
+    cover: {
+      type: ["boolean", "object"],
+      properties: {
+        title: TITLE_SCHEMA,
+        subtitle: TITLE_SCHEMA,
+      },
+    },
+    linkExpiresIn: { type: "integer", minimum: 1, maximum: LINK_MAX_TTL },
+    retention: { type: "integer", minimum: 1, maximum: PDF_MAX_RETENTION },
+  },
+};
+
+const schemaValidator = new Ajv({ allErrors: true, strict: false });
+const validatePayloadStructure = schemaValidator.compile(PAYLOAD_SCHEMA);
+const VALIDATION_MAX_ERRORS = 100;
+
+// Caminho no formato materials[12].codigo a partir dos segmentos do JSON Pointer
+function formatJsonPath(segments) {
+  const path = segments.reduce((result, segment) => {
+    if (/^\d+$/.test(segment)) return `${result}[${segment}]`;
+    return result ? `${result}.${segment}` : segment;
+  }, "");
+  return path || "$";
+}
+
+function validatePayloadSchema(body) {
+  if (validatePayloadStructure(body)) return [];
+  return validatePayloadStructure.errors.map((schemaError) => {
+    const segments = schemaError.instancePath
+      .split("/")
+      .slice(1)
+      .map((segment) => segment.replace(/~1/g, "/").replace(/~0/g, "~"));
+    if (schemaError.keyword === "required") {
+      segments.push(schemaError.params.missingProperty);
+    }
+    return {
+      path: formatJsonPath(segments),
+      code: schemaError.keyword,
+      params: schemaError.params,
+      message: schemaError.message,
+      schemaError,
+    };
+  });
+}
+
+// Erro de validação com a lista completa; as mensagens são traduzidas no handler
+// de erros conforme o Accept-Language
+function createValidationError(errors) {
+  const error = createHttpError(422, `Payload inválido: ${errors.length} erro(s) encontrado(s).`);
+  error.validationErrors = errors;
+  return error;
+}
+
+// Mensagens em inglês para os códigos das regras fora do esquema (as do esquema
+// vêm do ajv-i18n)
+const VALIDATION_MESSAGES_EN = {
+  payload: ({ count }) => `Invalid payload: ${count} error(s) found.`,
+  required: ({ field }) => `'${field}' is required.`,
+  invalid_quantity: () => `'quantidade' must be an integer between 1 and ${MAX_MATERIAL_COPIES}.`,
+  too_many_cards: ({ total, max }) => `The payload produces ${total} cards; the maximum is ${max}.`,
+  invalid_code_type: () => `'codeType' must be one (or a list) of: ${CODE_TYPES.join(", ")}.`,
+  code128_charset: () => "Code128 only accepts ASCII characters.",
+  code128_length: () => "Code128 accepts at most 80 characters.",
+  ean13_format: () => "EAN-13 must contain 12 or 13 numeric digits.",
+  ean13_check_digit: () => "EAN-13 has an invalid check digit.",
+  datamatrix_charset: () => "DataMatrix only accepts Latin-1 characters.",
+  datamatrix_length: () => "DataMatrix accepts at most 1556 characters.",
+  number: ({ field }) => `'${field}' must be a number.`,
+  boolean: ({ field }) => `'${field}' must be a boolean.`,
+  string: ({ field }) => `'${field}' must be a string.`,
+  object: ({ field }) => `'${field}' must be an object.`,
+  enum: ({ field, values }) => `'${field}' must be one of: ${values.join(", ")}.`,
+  number_range: ({ field, min, max, unit }) =>
+    `'${field}' must be a number between ${min} and ${max}${unit ? ` (${unit})` : ""}.`,
+  positive_number: ({ field, unit }) =>
+    `'${field}' must be a number greater than zero${unit ? ` (${unit})` : ""}.`,
+  positive_integer: ({ field }) => `'${field}' must be an integer greater than zero.`,
+  non_negative_integer: ({ field }) => `'${field}' must be an integer greater than or equal to zero.`,
+  non_empty_string: ({ field }) => `'${field}' must be a non-empty string.`,
+  non_empty_array: ({ field }) => `'${field}' must be an array with at least one item.`,
+  color: ({ field, example }) => `'${field}' must be a hexadecimal color, e.g. ${example}.`,
+  start_position: ({ max, cols, rows }) =>
+    `'startPosition' must be a position from 1 to ${max} or { row, col } inside the ${cols}x${rows} grid.`,
+  page_size: ({ sizes }) => `'pageSize' must be one of: ${sizes.join(", ")}, or { width, height } in mm.`,
+  grid_overflow: ({ cols, rows, usedWidth, usedHeight, pageWidth, pageHeight, headerHeight }) =>
+    `The ${cols}x${rows} card grid does not fit on the page: it takes ${usedWidth} x ${usedHeight} mm of ${pageWidth} x ${pageHeight} mm${headerHeight > 0 ? `, including ${headerHeight} mm for the logo header` : ""}.`,
+  bleed_requires_background: () =>
+    "'bleed' extends the card background color past the cut line: set 'cardBackground' (with a card template, the template's background color).",
+  bleed_exceeds_gap: ({ field, bleed, min, gap }) =>
+    `A ${bleed} mm bleed on each card requires '${field}' of at least ${min} mm (currently ${gap} mm).`,
+  cut_marks_exceed_gap: ({ field, reach, gap }) =>
+    `Cut marks reach ${reach} mm past the card (bleed + cutMarkOffset + cutMarkLength), more than '${field}' (${gap} mm); shorten the marks or widen the gap between cards.`,
+  card_template_not_found: ({ id }) => `Card template '${id}' not found.`,
+  element_list: ({ max }) => `'elements' must be a list with 1 to ${max} items.`,
+  element_required: ({ field, type }) => `'${field}' is required for elements of type ${type}.`,
+  element_fit_type: () => "'fit' only applies to elements of type field or text.",
+  title: ({ field, max }) => `'${field}' must be a text of 1 to ${max} characters.`,
+  sections: ({ max }) => `'sections' must be an array with 1 to ${max} sections.`,
+  cover: () => "'cover' must be a boolean or an object.",
+  sections_not_allowed: () => "'sections' is only accepted when generating PDFs.",
+  materials_and_sections: () => "Send either 'materials' or 'sections', not both.",
+  cover_requires_sections: () => "'cover' is only accepted together with 'sections'.",
+  seconds_range: ({ field, max }) => `'${field}' must be an integer number of seconds between 1 and ${max}.`,
+  link_exceeds_retention: () => "'linkExpiresIn' cannot exceed 'retention'.",
+  integer: ({ field }) => `'${field}' must be an integer.`,
+  preset_not_found: ({ id }) => `Preset '${id}' not found.`,
+  template_not_found: ({ id }) => `Template '${id}' not found.`,
+  template_deleted: ({ id }) =>
+    `Template '${id}' was deleted; send 'version' to reproduce an earlier batch.`,
+  template_version_not_found: ({ id, version }) =>
+    `Version ${version} of template '${id}' not found.`,
+};
+
+function resolveLocale(req) {
+  const accepted = req.acceptsLanguages("pt-BR", "pt", "en", "en-US", "en-GB");
+  return accepted && accepted.startsWith("en") ? "en" : "pt-BR";
+}
+
+function localizeValidationErrors(errors, locale) {
+  return errors.map(({ path, code, params, message, schemaError }) => {
+    if (schemaError) {
+      const localized = { ...schemaError };
+      ajvLocalize[locale]([localized]);
+      return { path, code, message: localized.message };
+    }
+    const translate = locale === "en" ? VALIDATION_MESSAGES_EN[code] : null;
+    return { path, code, message: translate ? translate(params || {}) : message };
+  });
+}
+
+// 'allowSections' habilita o lote com 'sections' (e 'cover'), que só existe em PDF.
+// 'pageHeader' = false indica saída sem o cabeçalho do logo (imagens por card).
+// O esquema confere a estrutura e as regras que dependem do layout resolvido
+// rodam sobre o que ainda for utilizável; todos os problemas saem num único erro.
+function validatePayload(body, tenant = getDefaultTenant(), options = {}) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    throw createHttpError(400, "Payload JSON inválido.");
+  }
+
+  const schemaErrors = validatePayloadSchema(body);
+  if (body.materials === undefined && body.sections === undefined) {
+    schemaErrors.push({
+      path: "materials",
+      code: "required",
+      params: { field: "materials" },
+      message: "'materials' é obrigatório.",
+    });
+  }
+
+  const { allowSections = false, pageHeader = true, ...otherOptions } = options;
+  const { logoUrl } = body;
+  const layoutOptions = { ...otherOptions, headerLogo: pageHeader && Boolean(logoUrl) };
+  let { materials } = body;
+  let layout;
+  let template;
+  let sections;
+  let cover = null;
+  // Erros do esquema, do layout, das seções e dos materiais saem juntos num único
+  // 422; as regras abaixo toleram campos com o tipo errado, já apontados pelo esquema
+  const errors = [];
+
+  if (body.sections !== undefined && !allowSections) {
+    errors.push({
+      path: "sections",
+      code: "sections_not_allowed",
+      params: {},
+      message: "Campo 'sections' só é aceito na geração de PDF.",
+    });
+  } else if (body.sections !== undefined && materials !== undefined) {
+    errors.push({
+      path: "materials",
+      code: "materials_and_sections",
+      params: {},
+      message: "Envie 'materials' ou 'sections', não ambos.",
+    });
+  } else if (body.sections !== undefined) {
+    sections = validateSections(body, tenant, layoutOptions, errors);
+    cover = validateCover(body.cover, errors);
+    if (sections.length > 0) {
+      ({ layout, template } = sections[0]);
+    }
+    materials = sections.flatMap((section) => section.materials);
+  } else {
+    if (body.cover !== undefined) {
+      errors.push({
+        path: "cover",
+        code: "cover_requires_sections",
+        params: {},
+        message: "Campo 'cover' só é aceito junto com 'sections'.",
+      });
+    }
+    let codeType;
+    ({ layout, template, codeType } = resolvePayloadLayout(body, tenant, {
+      ...layoutOptions,
+      errors,
+    }));
+
+    errors.push(...collectMaterialErrors(materials, { codeType }, "materials"));
+  }
+
+  // Limite de cards antes de qualquer renderização: cada cópia vira uma posição
+  // da folha (expandCardSlots)
+  const totalCards = (Array.isArray(materials) ? materials : []).reduce(
+    (sum, material) => sum + Number((material && material.quantidade) || 1),
+    0
+  );
+  if (totalCards > MAX_CARDS_PER_PAYLOAD) {
+    errors.push({
+      path: sections ? "sections" : "materials",
+      code: "too_many_cards",
+      params: { total: totalCards, max: MAX_CARDS_PER_PAYLOAD },
+      message: `O payload gera ${totalCards} cards; o máximo é ${MAX_CARDS_PER_PAYLOAD}.`,
+    });
+  }
+
+  const { linkExpiresIn: requestedLinkTtl, retention: requestedRetention } = body;
+  if (
+    requestedLinkTtl !== undefined &&
+    (!Number.isInteger(requestedLinkTtl) ||
+      requestedLinkTtl <= 0 ||
+      requestedLinkTtl > LINK_MAX_TTL)
+  ) {
+    errors.push({
+      path: "linkExpiresIn",
+      code: "seconds_range",
+      params: { field: "linkExpiresIn", max: LINK_MAX_TTL },
+      message: `Campo 'linkExpiresIn' deve ser um número inteiro de segundos entre 1 e ${LINK_MAX_TTL}.`,
+    });
+  }
+  if (
+    requestedRetention !== undefined &&
+    (!Number.isInteger(requestedRetention) ||
+      requestedRetention <= 0 ||
+      requestedRetention > PDF_MAX_RETENTION)
+  ) {
+    errors.push({
+      path: "retention",
+      code: "seconds_range",
+      params: { field: "retention", max: PDF_MAX_RETENTION },
+      message: `Campo 'retention' deve ser um número inteiro de segundos entre 1 e ${PDF_MAX_RETENTION}.`,
+    });
+  }
+
+  // Sem 'retention', o PDF fica pelo menos 10 minutos ou até o link expirar;
+  // o link, por sua vez, nunca dura mais que o arquivo
+  const retention =
+    requestedRetention !== undefined
+      ? requestedRetention
+      : Math.max(PDF_EXPIRATION_TIME / 1000, requestedLinkTtl || LINK_DEFAULT_TTL);
+  const linkExpiresIn =
+    requestedLinkTtl !== undefined ? requestedLinkTtl : Math.min(LINK_DEFAULT_TTL, retention);
+  if (linkExpiresIn > retention) {
+    errors.push({
+      path: "linkExpiresIn",
+      code: "link_exceeds_retention",
+      params: {},
+      message: "Campo 'linkExpiresIn' não pode exceder 'retention'.",
+    });
+  }
+
+  // Um campo já apontado pelo esquema não recebe também o erro da regra
+  const schemaPaths = schemaErrors.map((error) => error.path);
+  const ruleErrors = errors.filter(
+    (error) =>
+      !schemaPaths.some(
+        (schemaPath) =>
+          error.path === schemaPath ||
+          error.path.startsWith(`${schemaPath}.`) ||
+          error.path.startsWith(`${schemaPath}[`)
+      )
+  );
+  if (schemaErrors.length > 0 || ruleErrors.length > 0) {
+    throw createValidationError([...schemaErrors, ...ruleErrors]);
+  }
+
+  return {
+    logoUrl,
+    layout,
+    materials,
+    sections,
+    cover,
+    template,
+    tenantId: tenant.id,
+    linkExpiresIn,
+    retention,
+  };
+}
+
+// Tenants e chaves de API, carregados de AUTH_FILE na inicialização. Cada chave
+// pertence a um tenant; só o hash SHA-256 da chave é guardado.
+const tenants = new Map();
+const apiKeys = new Map();
+const TENANT_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,62}$/;
+
+function hashApiKey(key) {
+  return crypto.createHash("sha256").update(key).digest("hex");
+}
+
+function getDefaultTenant() {
+  return (
+    tenants.get(DEFAULT_TENANT_ID) || {
+      id: DEFAULT_TENANT_ID,
+      name: "Padrão",
+      defaults: {},
+    }
+  );
+}
+
+async function loadTenantData(tenantId) {
+  await ensureDirectories(tenantId);
+  await loadCustomPresets(tenantId);
+  await loadLayoutTemplates(tenantId);
+  await loadCardTemplates(tenantId);
+  await loadPrinters(tenantId);
+}
+
+async function saveAuthConfig() {
+  await fsPromises.mkdir(path.dirname(AUTH_FILE), { recursive: true });
+  await writeJsonFile(AUTH_FILE, {
+    tenants: Array.from(tenants.values()),
+    keys: Array.from(apiKeys.values()),
+  });
+}
+
+async function loadAuthConfig() {
+  let config = {};
+  try {
+    config = JSON.parse(await fsPromises.readFile(AUTH_FILE, "utf8"));
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error;
+  }
+
+  (config.tenants || []).forEach((tenant) => {
+    if (!TENANT_ID_PATTERN.test(String(tenant.id))) {
+      logger.error("Tenant com id inválido ignorado", { scope: "Auth", tenantId: tenant.id });
+      return;
+    }
+    tenants.set(tenant.id, {
+      id: tenant.id,
+      name: tenant.name || tenant.id,
+      defaults: tenant.defaults || {},
+      createdAt: tenant.createdAt || null,
+    });
+  });
+
+  let plainKeys = 0;
+  (config.keys || []).forEach((key) => {
+    if (key.tenant !== DEFAULT_TENANT_ID && !tenants.has(key.tenant)) {
+      logger.error("Chave aponta para tenant inexistente", {
+        scope: "Auth",
+        keyId: key.id || key.name,
+        tenantId: key.tenant,
+      });
+      return;
+    }
+    // Chaves cadastradas à mão podem vir em texto puro no campo 'key'
+    if (!key.hash) plainKeys += 1;
+    const hash = key.hash || hashApiKey(String(key.key));
+    apiKeys.set(hash, {
+      id: key.id || hash.slice(0, 12),
+      tenant: key.tenant,
+      name: key.name || "",
+      hash,
+      createdAt: key.createdAt || null,
+    });
+  });
+  if (plainKeys > 0) {
+    await saveAuthConfig();
+  }
+
+  await loadTenantData(DEFAULT_TENANT_ID);
+  for (const tenantId of tenants.keys()) {
+    if (tenantId !== DEFAULT_TENANT_ID) {
+      await loadTenantData(tenantId);
+    }
+  }
+
+  logger.info("Tenants e chaves carregados", {
+    scope: "Auth",
+    tenants: tenants.size,
+    apiKeys: apiKeys.size,
+  });
+  if (AUTH_DISABLED) {
+    logger.warn("Autenticação desativada (AUTH_DISABLED=true).", { scope: "Auth" });
+  } else if (apiKeys.size === 0) {
+    logger.warn(
+      "Nenhuma chave de API cadastrada; todas as rotas protegidas responderão 401.",
+      { scope: "Auth" }
+    );
+  }
+}
+
+// Aceita 'Authorization: Bearer <chave>' ou 'X-API-Key: <chave>'
+function extractApiKey(req) {
+  const authorization = req.get("authorization") || "";
+  const match = authorization.match(/^Bearer\s+(.+)$/i);
+  if (match) return match[1].trim();
+  return req.get("x-api-key") || null;
+}
+
+function authenticate(req, res, next) {
+  if (AUTH_DISABLED) {
+    req.tenant = getDefaultTenant();
+    return next();
+  }
+
+  const apiKey = extractApiKey(req);
+  const record = apiKey ? apiKeys.get(hashApiKey(apiKey)) : null;
+  if (!record) {
+    res.setHeader("WWW-Authenticate", 'Bearer realm="sap_servidor"');
+    return next(createHttpError(401, "Chave de API ausente ou inválida."));
+  }
+
+  req.tenant = tenants.get(record.tenant) || getDefaultTenant();
+  next();
+}
+
+function requireAdmin(req, res, next) {
+  if (!ADMIN_API_KEY) {
+    return next(createHttpError(403, "Administração desativada: defina ADMIN_API_KEY."));
+  }
+  const apiKey = extractApiKey(req) || "";
+  const expected = Buffer.from(hashApiKey(ADMIN_API_KEY), "hex");
+  const received = Buffer.from(hashApiKey(apiKey), "hex");
+  if (!crypto.timingSafeEqual(expected, received)) {
+    res.setHeader("WWW-Authenticate", 'Bearer realm="sap_servidor-admin"');
+    return next(createHttpError(401, "Chave de administração inválida."));
+  }
+  next();
+}
+
+function requireMetricsToken(req, res, next) {
+  if (!METRICS_TOKEN) return next();
+  const expected = Buffer.from(hashApiKey(METRICS_TOKEN), "hex");
+  const received = Buffer.from(hashApiKey(extractApiKey(req) || ""), "hex");
+  if (!crypto.timingSafeEqual(expected, received)) {
+    res.setHeader("WWW-Authenticate", 'Bearer realm="sap_servidor-metrics"');
+    return next(createHttpError(401, "Token de métricas inválido."));
+  }
+  next();
+}
+
+function validateTenantInput(body) {
+  if (!body || typeof body !== "object") {
+    throw createHttpError(400, "Payload JSON inválido.");
+  }
+  const { id, name, defaults } = body;
+  if (typeof id !== "string" || !TENANT_ID_PATTERN.test(id)) {
+    throw createHttpError(
+      400,
+      "'id' deve conter apenas letras minúsculas, números e hífens (até 63 caracteres)."
+    );
+  }
+  if (name !== undefined && (typeof name !== "string" || !name.trim())) {
+    throw createHttpError(400, "'name' deve ser um texto não vazio.");
+  }
+  if (
+    defaults !== undefined &&
+    (!defaults || typeof defaults !== "object" || Array.isArray(defaults))
+  ) {
+    throw createHttpError(400, "'defaults' deve ser um objeto com campos de layout.");
+  }
+  return { id, name: name ? name.trim() : undefined, defaults };
+}
+
+function serializeApiKey({ hash, ...key }) {
+  return key;
+}
+
+// Importação de materiais a partir de planilhas (CSV ou XLSX exportadas do SAP)
+const IMPORT_MAX_BYTES = Number(process.env.IMPORT_MAX_BYTES) || 10 * 1024 * 1024;
+const IMPORT_MAX_ROWS = Number(process.env.IMPORT_MAX_ROWS) || 10000;
+const IMPORT_OUTPUTS = ["json", "preview", "pdf"];
+const IMPORT_FIELD_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: IMPORT_MAX_BYTES, files: 1 },
+});
+
+// Campos de texto do formulário multipart que carregam JSON
+function parseJsonField(value, field) {
+  if (value === undefined || value === "") return undefined;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw createHttpError(400, `Campo '${field}' deve conter JSON válido.`);
+  }
+}
+
+function validateImportMapping(mapping) {
+  if (!mapping || typeof mapping !== "object" || Array.isArray(mapping)) {
+    throw createHttpError(
+      400,
+      "Campo 'mapping' é obrigatório: objeto { \"Coluna da planilha\": \"campo\" }."
+    );
+  }
+  const targets = Object.values(mapping);
+  const invalid = targets.find(
+    (target) => typeof target !== "string" || !IMPORT_FIELD_PATTERN.test(target)
+  );
+  if (invalid !== undefined) {
+    throw createHttpError(400, `Campo de destino inválido no 'mapping': ${invalid}.`);
+  }
+  const missing = ["codigo", "nome"].filter((field) => !targets.includes(field));
+  if (missing.length > 0) {
+    throw createHttpError(
+      400,
+      `O 'mapping' precisa indicar colunas para: ${missing.join(", ")}.`
+    );
+  }
+  return mapping;
+}
+
+// Exportações do SAP costumam vir em Windows-1252; sem UTF-8 válido, cai para latin1
+function decodeCsvText(buffer) {
+  const text = buffer.toString("utf8");
+  const decoded = text.includes("\uFFFD") ? buffer.toString("latin1") : text;
+  return decoded.replace(/^\uFEFF/, "");
+}
+
+function detectCsvDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  return [";", ",", "\t"]
+    .map((delimiter) => ({ delimiter, count: firstLine.split(delimiter).length }))
+    .sort((a, b) => b.count - a.count)[0].delimiter;
+}
+
+function normalizeCellValue(value) {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (typeof value === "object") {
+    if (value.result !== undefined) return normalizeCellValue(value.result);
+    if (Array.isArray(value.richText)) return value.richText.map((part) => part.text).join("");
+    if (value.text !== undefined) return normalizeCellValue(value.text);
+    return "";
+  }
+  return String(value).trim();
+}
+
+// Devolve as linhas da planilha como matriz de textos, com o número da linha original
+async function readSpreadsheetRows(file, { sheet, delimiter }) {
+  const isXlsx =
+    file.buffer.subarray(0, 4).equals(Buffer.from([0x50, 0x4b, 0x03, 0x04])) ||
+    /\.xlsx$/i.test(file.originalname);
+
+  if (!isXlsx) {
+    const text = decodeCsvText(file.buffer);
+    let records;
+    try {
+      records = parseCsv(text, {
+        delimiter: delimiter || detectCsvDelimiter(text),
+        relax_column_count: true,
+        skip_empty_lines: true,
+        trim: true,
+        info: true,
+      });
+    } catch (error) {
+      throw createHttpError(400, `CSV inválido: ${error.message}`);
+    }
+    return records.map(({ record, info }) => ({ rowNumber: info.lines, cells: record }));
+  }
+
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(file.buffer);
+  } catch (error) {
+    throw createHttpError(400, `XLSX inválido: ${error.message}`);
+  }
+  const worksheet = sheet ? workbook.getWorksheet(sheet) : workbook.worksheets[0];
+  if (!worksheet) {
+    throw createHttpError(400, sheet ? `Aba '${sheet}' não encontrada.` : "Planilha vazia.");
+  }
+  const rows = [];
+  worksheet.eachRow((row, rowNumber) => {
+    // row.values começa no índice 1 (coluna A)
+    rows.push({ rowNumber, cells: row.values.slice(1).map(normalizeCellValue) });
+  });
+  return rows;
+}
+
+// Converte as linhas em materiais conforme o 'mapping' e aplica as mesmas
+// verificações de validatePayload, acumulando os erros por linha
+function buildMaterialsFromRows(rows, mapping, layout) {
+  if (rows.length < 2) {
+    throw createHttpError(400, "A planilha precisa de um cabeçalho e ao menos uma linha.");
+  }
+  if (rows.length - 1 > IMPORT_MAX_ROWS) {
+    throw createHttpError(400, `A planilha excede o limite de ${IMPORT_MAX_ROWS} linhas.`);
+  }
+
+  const [header, ...dataRows] = rows;
+  const headerIndex = new Map(
+    header.cells.map((name, index) => [String(name).trim().toLowerCase(), index])
+  );
+  const columns = Object.entries(mapping).map(([column, field]) => ({
+    column,
+    field,
+    index: headerIndex.get(column.trim().toLowerCase()),
+  }));
+  const missingColumns = columns.filter(({ index }) => index === undefined);
+  if (missingColumns.length > 0) {
+    throw createHttpError(
+      400,
+      `Colunas não encontradas na planilha: ${missingColumns.map(({ column }) => column).join(", ")}.`
+    );
+  }
+
+  const materials = [];
+  const errors = [];
+  dataRows.forEach(({ rowNumber, cells }) => {
+    const material = {};
+    columns.forEach(({ field, index }) => {
+      const value = String(cells[index] === undefined ? "" : cells[index]).trim();
+      if (value === "") return;
+      // Listas de códigos vêm separadas por vírgula na célula
+      material[field] =
+        field === "codeType" && value.includes(",")
+          ? value.split(",").map((item) => item.trim())
+          : value;
+    });
+    if (Object.keys(material).length === 0) return;
+
+    try {
+      validateMaterial(material, layout, `Linha ${rowNumber}`);
+      materials.push(material);
+    } catch (error) {
+      errors.push({ row: rowNumber, message: error.message });
+    }
+  });
+
+  return { materials, errors };
+}
+
+const app = express();
+app.set("trust proxy", true);
+// Id de correlação: aceita o X-Request-Id do cliente (ou cria um), devolve no
+// cabeçalho e o deixa no contexto de log de tudo que a requisição disparar.
+// Ao terminar, registra a requisição nos logs e nas métricas.
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+app.use((req, res, next) => {
+  const requestedId = req.get("x-request-id");
+  const requestId =
+    requestedId && REQUEST_ID_PATTERN.test(requestedId) ? requestedId : uuidv4();
+  req.id = requestId;
+  res.setHeader("X-Request-Id", requestId);
+
+  const startedAt = process.hrtime.bigint();
+  res.on("finish", () => {
+    const duration = Number(process.hrtime.bigint() - startedAt) / 1e9;
+    // Só a rota declarada vira label, para não criar uma série por URL
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : "unmatched";
+    const labels = { method: req.method, route, status: String(res.statusCode) };
+    httpRequestsTotal.inc(labels);
+    httpRequestDuration.observe(labels, duration);
+    logger.info("Requisição concluída", {
+      requestId,
+      method: req.method,
+      path: req.originalUrl.split("?")[0],
+      route,
+      status: res.statusCode,
+      durationMs: Math.round(duration * 1000),
+      bytes: Number(res.getHeader("content-length")) || undefined,
+      tenantId: req.tenant ? req.tenant.id : undefined,
+      userAgent: req.get("user-agent"),
+    });
+  });
+
+  logContext.run({ requestId }, next);
+});
+app.use(
+  cors({
+    origin: true, // Permite todas as origens (incluindo localhost e 127.0.0.1)
+    credentials: true,
+    exposedHeaders: ["X-Request-Id"],
+  })
+);
+app.use(express.json({ limit: "10mb" }));
+
+// Acrescenta cabeçalhos aos já expostos pelo CORS (X-Request-Id) em vez de
+// substituir a lista
+function exposeHeaders(res, ...names) {
+  const current = String(res.getHeader("Access-Control-Expose-Headers") || "")
+    .split(",")
+    .map((name) => name.trim())
+    .filter(Boolean);
+  res.setHeader(
+    "Access-Control-Expose-Headers",
+    Array.from(new Set([...current, "X-Request-Id", ...names])).join(", ")
+  );
+}
+
+app.get("/", (req, res) => {
+  res.json({
+    status: "ok",
+    service: "Servidor de Cards PDF",
+    version: "1.0.0",
+    endpoints: {
+      health: "/health",
+      metrics: "GET /metrics",
+      schema: "GET /schema",
+      preview: "POST /preview",
+      generatePdf: "POST /gerar-pdf",
+      generatePdfInline: "POST /gerar-pdf?inline=1",
+      generateLabels: "POST /gerar-etiquetas",
+      importMaterials: "POST /materials/import",
+      createJob: "POST /jobs",
+      jobStatus: "GET /jobs/:id",
+      presets: "GET /presets",
+      preset: "GET /presets/:id",
+      createPreset: "POST /presets",
+      templates: "GET /templates",
+      template: "GET /templates/:id?version=N",
+      templateVersions: "GET /templates/:id/versions",
+      createTemplate: "POST /templates",
+      updateTemplate: "PUT /templates/:id",
+      deleteTemplate: "DELETE /templates/:id",
+      cardTemplates: "GET /card-templates",
+      cardTemplate: "GET /card-templates/:id",
+      createCardTemplate: "POST /card-templates",
+      deleteCardTemplate: "DELETE /card-templates/:id",
+      view: "GET /view/:fileId",
+      files: "GET /files/:fileName",
+      tenantView: "GET /view/:tenantId/:fileId",
+      tenantFiles: "GET /files/:tenantId/:fileName",
+      deleteFile: "DELETE /files/:id",
+      printers: "GET /printers",
+      printer: "GET /printers/:id",
+      createPrinter: "POST /printers",
+      deletePrinter: "DELETE /printers/:id",
+      printerCalibration: "PUT /printers/:id/calibration",
+      calibration: "POST /calibration",
+      print: "POST /print",
+      printHistory: "GET /print/history",
+      adminTenants: "GET|POST /admin/tenants",
+      adminKeys: "GET|POST /admin/keys",
+      deleteAdminKey: "DELETE /admin/keys/:id",
+    },
+  });
+});
+
+// Com METRICS_TOKEN definido, o scraper precisa enviar 'Authorization: Bearer <token>'
+app.get("/metrics", requireMetricsToken, async (req, res, next) => {
+  try {
+    res.setHeader("Content-Type", metricsRegistry.contentType);
+    res.end(await metricsRegistry.metrics());
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Esquema JSON do payload aceito por /gerar-pdf, /preview, /jobs e afins
+app.get("/schema", (req, res) => {
+  res.type("application/schema+json").send(JSON.stringify(PAYLOAD_SCHEMA, null, 2));
+});
+
+app.get("/health", (req, res) => {
+  res.json({
+    status: "ok",
+    timestamp: new Date().toISOString(),
+    browserPool: browserPool.getStats(),
+    imageCache: getImageCacheStats(),
+    storage: fileStorage.name,
+  });
+});
+
+async function sendViewerPage(req, res, next) {
+  try {
+    const { fileId, tenantId = DEFAULT_TENANT_ID } = req.params;
+    if (!isKnownTenant(tenantId)) {
+      return res.status(404).send("Arquivo não encontrado.");
+    }
+    const sanitizedId = sanitizeFilename(fileId);
+    const pdfFileName = `${sanitizedId}.pdf`;
+
+    const linkError = verifyFileLink(tenantId, pdfFileName, req.query);
+    if (linkError) {
+      return sendLinkError(req, res, linkError);
+    }
+
+    const exists = await fileStorage.hasPdf(tenantId, pdfFileName);
+    if (!exists) {
+      return res.status(404).send("Arquivo não encontrado.");
+    }
+
+    const baseUrl = resolveBaseUrl(req);
+    const { downloadUrl } = buildFileUrls(
+      baseUrl,
+      pdfFileName,
+      tenantId,
+      Number(req.query.expires) * 1000
+    );
+    const downloadPath = escapeHtml(downloadUrl);
+
+    res.type("html").send(`<!DOCTYPE html>
+      <html lang="pt-BR">
+        <head>
+          <meta charset="UTF-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>Visualização dos Cards</title>
+          <style>
+            body {
+              margin: 0;
+              font-family: Arial, sans-serif;
+              display: flex;
+              flex-direction: column;
+              height: 100vh;
+              background: #0f172a;
+              color: #e2e8f0;
+            }
+            header {
+              padding: 16px;
+              text-align: center;
+              background: #111c3a;
+            }
+            header h1 {
+              margin: 0;
+              font-size: 20px;
+            }
+            main {
+              flex: 1;
+              padding: 0;
+            }
+            .toolbar {
+              display: flex;
+              justify-content: center;
+              gap: 12px;
+              padding: 12px;
+              background: #0b1120;
+            }
+            .button {
+              display: inline-flex;
+              align-items: center;
+              justify-content: center;
+              padding: 10px 16px;
+              font-size: 16px;
+              font-weight: 600;
+              color: #0b1120;
+              background: #38bdf8;
+              border-radius: 8px;
+              text-decoration: none;
+            }
+            .viewer-container {
+              height: calc(100vh - 160px);
+              padding: 0 16px 16px;
+            }
+            .viewer-container embed,
+            .viewer-container iframe {
+              width: 100%;
+              height: 100%;
+              border: none;
+              border-radius: 12px;
+              box-shadow: 0 10px 30px rgba(15, 23, 42, 0.4);
+            }
+            @media (max-width: 768px) {
+              .viewer-container {
+                padding: 0;
+                height: calc(100vh - 140px);
+              }
+              .toolbar {
+                flex-direction: column;
+                padding: 8px;
+              }
+              .button {
+                width: calc(100% - 24px);
+                margin: 0 12px;
+              }
+            }
+          </style>
+        </head>
+        <body>
+          <header>
+            <h1>Visualização dos Cards</h1>
+          </header>
+          <div class="toolbar">
+            <a class="button" href="${downloadPath}" download>Baixar PDF</a>
+          </div>
+          <main class="viewer-container">
+            <embed src="${downloadPath}" type="application/pdf" width="100%" height="98%" />
+          </main>
+        </body>
+      </html>`);
+  } catch (error) {
+    next(error);
+  }
+}
+
+function isKnownTenant(tenantId) {
+  return tenantId === DEFAULT_TENANT_ID || tenants.has(tenantId);
+}
+
+// Navegadores recebem uma página explicando o problema do link; clientes de API, JSON
+function sendLinkError(req, res, error) {
+  if (req.accepts(["json", "html"]) !== "html") {
+    return res.status(error.status).json({ status: "error", message: error.message });
+  }
+  const title = error.status === 410 ? "Link expirado" : "Link inválido";
+  res.status(error.status).type("html").send(`<!DOCTYPE html>
+    <html lang="pt-BR">
+      <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>${title}</title>
+        <style>
+          body {
+            margin: 0;
+            font-family: Arial, sans-serif;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            height: 100vh;
+            background: #0f172a;
+            color: #e2e8f0;
+            text-align: center;
+          }
+          h1 {
+            font-size: 22px;
+          }
+        </style>
+      </head>
+      <body>
+        <main>
+          <h1>${title}</h1>
+          <p>${escapeHtml(error.message)}</p>
+        </main>
+      </body>
+    </html>`);
+}
+
+// Os PDFs gerados não exigem chave de API, pois os links são abertos direto no
+// navegador; o acesso depende da assinatura com validade presente na URL
+async function sendTenantFile(req, res, next) {
+  try {
+    const { fileName, tenantId = DEFAULT_TENANT_ID } = req.params;
+    if (!isKnownTenant(tenantId) || fileName !== path.basename(fileName)) {
+      throw createHttpError(404, "Arquivo não encontrado.");
+    }
+    const linkError = verifyFileLink(tenantId, fileName, req.query);
+    if (linkError) {
+      return sendLinkError(req, res, linkError);
+    }
+
+    // A URL pré-assinada vale pelo tempo que resta ao link do servidor
+    if (S3_PRESIGNED_DOWNLOADS) {
+      const expiresIn = Math.max(1, Number(req.query.expires) - Math.floor(Date.now() / 1000));
+      const presignedUrl = await fileStorage.getPresignedUrl(tenantId, fileName, expiresIn);
+      if (presignedUrl) {
+        return res.redirect(302, presignedUrl);
+      }
+    }
+
+    const file = await fileStorage.getPdf(tenantId, fileName);
+    if (!file) {
+      throw createHttpError(404, "Arquivo não encontrado.");
+    }
+    // Links assinados expiram e arquivos podem ser removidos: proxies e caches
+    // compartilhados não podem guardar o PDF do tenant
+    res.set({
+      "Content-Type": "application/pdf",
+      "Cache-Control": "private, no-store",
+    });
+    exposeHeaders(res, "Content-Disposition");
+    if (file.size !== undefined) {
+      res.setHeader("Content-Length", String(file.size));
+    }
+    // Depois que os headers saíram, um erro de leitura só pode encerrar a conexão:
+    // o cliente percebe o corpo incompleto em vez de um 200 truncado "válido"
+    file.stream.on("error", (error) => {
+      if (!res.headersSent) return next(error);
+      logger.error("Falha ao ler PDF do armazenamento", {
+        scope: "Storage",
+        tenantId,
+        fileName,
+        error: error.message,
+      });
+      res.destroy(error);
+    });
+    file.stream.pipe(res);
+  } catch (error) {
+    next(error);
+  }
+}
+
+app.get("/files/:fileName", sendTenantFile);
+app.get("/files/:tenantId/:fileName", sendTenantFile);
+
+app.get("/view/:fileId", sendViewerPage);
+app.get("/view/:tenantId/:fileId", sendViewerPage);
+
+app.get("/admin/tenants", requireAdmin, (req, res) => {
+  res.json({
+    status: "ok",
+    tenants: Array.from(tenants.values()).map((tenant) => ({
+      ...tenant,
+      keys: Array.from(apiKeys.values()).filter((key) => key.tenant === tenant.id).length,
+    })),
+  });
+});
+
+// Cria ou atualiza um tenant (nome e defaults de layout)
+app.post("/admin/tenants", requireAdmin, async (req, res, next) => {
+  try {
+    const input = validateTenantInput(req.body);
+    const existing = tenants.get(input.id);
+    const tenant = {
+      id: input.id,
+      name: input.name || (existing ? existing.name : input.id),
+      defaults: input.defaults || (existing ? existing.defaults : {}),
+      createdAt: existing ? existing.createdAt : new Date().toISOString(),
+    };
+    tenants.set(tenant.id, tenant);
+    await saveAuthConfig();
+    if (!existing) {
+      await loadTenantData(tenant.id);
+    }
+    res.status(existing ? 200 : 201).json({ status: "ok", tenant });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get("/admin/keys", requireAdmin, (req, res) => {
+  res.json({
+    status: "ok",
+    keys: Array.from(apiKeys.values()).map(serializeApiKey),
+  });
+});
+
+// A chave em texto puro só é devolvida nesta resposta
+app.post("/admin/keys", requireAdmin, async (req, res, next) => {
+  try {
+    const { tenant: tenantId, name } = req.body || {};
+    if (!isKnownTenant(tenantId)) {
+      throw createHttpError(400, "'tenant' deve ser um tenant cadastrado.");
+    }
+    if (name !== undefined && typeof name !== "string") {
+      throw createHttpError(400, "'name' deve ser um texto.");
+    }
+
+    const apiKey = `sk_${crypto.randomBytes(24).toString("base64url")}`;
+    const record = {
+      id: uuidv4(),
+      tenant: tenantId,
+      name: name || "",
+      hash: hashApiKey(apiKey),
+      createdAt: new Date().toISOString(),
+    };
+    apiKeys.set(record.hash, record);
+    await saveAuthConfig();
+
+    res.status(201).json({ status: "ok", key: { ...serializeApiKey(record), apiKey } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.delete("/admin/keys/:id", requireAdmin, async (req, res, next) => {
+  try {
+    const record = Array.from(apiKeys.values()).find((key) => key.id === req.params.id);
+    if (!record) {
+      throw createHttpError(404, "Chave não encontrada.");
+    }
+    apiKeys.delete(record.hash);
+    await saveAuthConfig();
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Todas as rotas registradas a partir daqui exigem chave de API
+app.use(authenticate);
+
+// Respostas de /preview e /gerar-pdf, reaproveitadas pela importação de planilhas
+async function sendPreview(req, res, body) {
+  const payload = validatePayload(body, req.tenant);
+
+  const { logoDataUrl, pages, warnings } = await prepareRenderData(payload);
+
+  const html = buildHtml({
+    logoDataUrl,
+    layout: payload.layout,
+    pages,
+    mode: "preview",
+    warnings,
+    tenantId: payload.tenantId,
+  });
+
+  res.setHeader("X-Image-Warnings", String(warnings.length));
+  res.type("html").send(html);
+}
+
+app.post("/preview", async (req, res, next) => {
+  try {
+    await sendPreview(req, res, req.body);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Um arquivo por card: PNGs em um ZIP ou um único arquivo ZPL com um rótulo por card
+app.post("/gerar-etiquetas", async (req, res, next) => {
+  try {
+    const payload = validatePayload(req.body, req.tenant, { pageHeader: false });
+    const { format, dpi } = validateRasterOptions(req.body);
+
+    const { cards, warnings } = await renderCardImages({ payload, dpi });
+    const baseName = sanitizeFilename(makeSlug());
+
+    let body;
+    if (format === "png") {
+      const zip = new JSZip();
+      cards.forEach(({ material, image }, index) => {
+        zip.file(buildCardImageName(material, index, "png"), image);
+      });
+      body = await zip.generateAsync({ type: "nodebuffer", compression: "DEFLATE" });
+      res.set({
+        "Content-Type": "application/zip",
+        "Content-Disposition": `attachment; filename="${baseName}.zip"`,
+      });
+    } else {
+      const offsets = resolveZplOffsets(payload.layout.calibration, dpi);
+      body = Buffer.from(
+        `${cards.map(({ image }) => convertPngToZpl(image, offsets)).join("\n")}\n`,
+        "utf8"
+      );
+      res.set({
+        "Content-Type": "text/plain; charset=utf-8",
+        "Content-Disposition": `attachment; filename="${baseName}.zpl"`,
+      });
+    }
+
+    res.set({
+      "Content-Length": String(body.length),
+      "X-Image-Warnings": String(warnings.length),
+    });
+    exposeHeaders(res, "Content-Disposition", "X-Image-Warnings");
+    res.end(body);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Com '?inline=1' ou 'Accept: application/pdf' o PDF volta no próprio corpo da
+// resposta e nada é gravado
+function wantsInlinePdf(req) {
+  return (
+    ["1", "true"].includes(String(req.query.inline)) ||
+    req.accepts(["json", "application/pdf"]) === "application/pdf"
+  );
+}
+
+async function sendGeneratedPdf(req, res, body) {
+  const payload = validatePayload(body, req.tenant, { allowSections: true });
+
+  if (wantsInlinePdf(req)) {
+    const { pdfBuffer, warnings, textOverflows } = await renderPdfBuffer({ payload });
+    const pdfBody = Buffer.from(pdfBuffer);
+    res.set({
+      "Content-Type": "application/pdf",
+      "Content-Disposition": `inline; filename="${sanitizeFilename(makeSlug())}.pdf"`,
+      "Content-Length": String(pdfBody.length),
+      "X-Image-Warnings": String(warnings.length),
+      "X-Text-Overflows": String(textOverflows.length),
+    });
+    exposeHeaders(res, "Content-Disposition", "X-Image-Warnings", "X-Text-Overflows");
+    return res.end(pdfBody);
+  }
+
+  const { pdfFileName, warnings, textOverflows, file, linkExpiresAt } = await renderPdfFile({
+    payload,
+  });
+
+  const baseUrl = resolveBaseUrl(req);
+  const { downloadUrl, viewerUrl, expiresAt } = buildFileUrls(
+    baseUrl,
+    pdfFileName,
+    payload.tenantId,
+    linkExpiresAt
+  );
+
+  logger.info("PDF gerado com sucesso", {
+    scope: "/gerar-pdf",
+    pdfFileName,
+    storage: fileStorage.name,
+    downloadUrl,
+    viewerUrl,
+  });
+
+  res.status(201).json({
+    status: "ok",
+    fileId: file.id,
+    downloadUrl,
+    viewerUrl,
+    expiresAt,
+    retainedUntil: file.expiresAt,
+    template: payload.template,
+    warnings,
+    textOverflows,
+  });
+}
+
+app.post("/gerar-pdf", async (req, res, next) => {
+  try {
+    await sendGeneratedPdf(req, res, req.body);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Recebe uma planilha (campo 'file') e o 'mapping' de colunas para campos do
+// material. Com 'output' = 'preview' ou 'pdf', os materiais seguem para a
+// renderização junto com 'payload' (layout, logoUrl, templateId...).
+app.post("/materials/import", importUpload.single("file"), async (req, res, next) => {
+  try {
+    if (!req.file) {
+      throw createHttpError(400, "Envie a planilha (CSV ou XLSX) no campo 'file'.");
+    }
+    const { sheet, delimiter, output = "json" } = req.body;
+    if (!IMPORT_OUTPUTS.includes(output)) {
+      throw createHttpError(400, `Campo 'output' deve ser um de: ${IMPORT_OUTPUTS.join(", ")}.`);
+    }
+    const mapping = validateImportMapping(parseJsonField(req.body.mapping, "mapping"));
+    const options = parseJsonField(req.body.payload, "payload") || {};
+    if (typeof options !== "object" || Array.isArray(options)) {
+      throw createHttpError(400, "Campo 'payload' deve ser um objeto JSON.");
+    }
+
+    // As verificações de código de barras dependem do layout, quando informado
+    const layout =
+      options.layout !== undefined || options.templateId !== undefined
+        ? resolvePayloadLayout(options, req.tenant).layout
+        : { codeType: "qr" };
+
+    const rows = await readSpreadsheetRows(req.file, { sheet, delimiter });
+    const { materials, errors } = buildMaterialsFromRows(rows, mapping, layout);
+    if (errors.length > 0) {
+      const error = createHttpError(400, `${errors.length} linha(s) com erro na planilha.`);
+      error.details = { errors };
+      throw error;
+    }
+
+    if (output === "preview") {
+      return await sendPreview(req, res, { ...options, materials });
+    }
+    if (output === "pdf") {
+      return await sendGeneratedPdf(req, res, { ...options, materials });
+    }
+    res.json({ status: "ok", total: materials.length, materials });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.post("/jobs", (req, res, next) => {
+  try {
+    const payload = validatePayload(req.body, req.tenant, { allowSections: true });
+    const callbackUrl = validateCallbackUrl(req.body.callbackUrl);
+    checkJobQueueLimit(payload.tenantId);
+
+    const job = {
+      id: uuidv4(),
+      tenantId: payload.tenantId,
+      status: "queued",
+      progress: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      fileId: null,
+      downloadUrl: null,
+      viewerUrl: null,
+      expiresAt: null,
+      error: null,
+      callbackUrl,
+      callback: callbackUrl ? { status: "pending", attempts: 0 } : null,
+      template: payload.template,
+      warnings: [],
+      textOverflows: [],
+    };
+    pdfJobs.set(job.id, job);
+
+    const baseUrl = resolveBaseUrl(req);
+    runPdfJob(job, payload, baseUrl).catch((error) => {
+      logger.error("Erro inesperado no job", { scope: "Jobs", jobId: job.id, error });
+    });
+
+    res.status(202).json({
+      status: "ok",
+      jobId: job.id,
+      statusUrl: `${baseUrl}/jobs/${job.id}`,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get("/presets", (req, res) => {
+  res.json({ status: "ok", presets: listPresets(req.tenant.id) });
+});
+
+app.get("/presets/:id", (req, res, next) => {
+  const preset = findPreset(req.params.id, req.tenant.id);
+  if (!preset) {
+    return next(createPresetNotFoundError(req.params.id));
+  }
+  res.json({ status: "ok", preset });
+});
 
-app.use(
-  "/files",
-  express.static(CARDS_DIR, {
-    index: false,
-    maxAge: "1h",
-    setHeaders: (res) => {
-      res.setHeader("Access-Control-Expose-Headers", "Content-Disposition");
-    },
-  })
-);
+app.post("/presets", async (req, res, next) => {
+  try {
+    const tenantId = req.tenant.id;
+    const preset = validatePresetInput(req.body, tenantId);
+    const existing = tenantRecords(customPresets, tenantId).get(preset.id);
+    const now = new Date().toISOString();
+    const stored = {
+      ...preset,
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now,
+    };
 
-app.get("/", (req, res) => {
+    await ensureDirectories(tenantId);
+    const { presetsDir } = resolveTenantDirs(tenantId);
+    await writeJsonFile(path.join(presetsDir, `${preset.id}.json`), stored);
+    tenantRecords(customPresets, tenantId).set(preset.id, stored);
+
+    res.status(existing ? 200 : 201).json({
+      status: "ok",
+      preset: { ...stored, source: "custom" },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get("/templates", (req, res) => {
   res.json({
     status: "ok",
-    service: "Servidor de Cards PDF",
-    version: "1.0.0",
-    endpoints: {
-      health: "/health",
-      preview: "POST /preview",
-      generatePdf: "POST /gerar-pdf",
-      view: "GET /view/:fileId",
-      files: "GET /files/:fileName",
+    templates: Array.from(tenantRecords(layoutTemplates, req.tenant.id).values())
+      .filter((template) => !template.deletedAt)
+      .map(summarizeTemplate),
+  });
+});
+
+app.get("/templates/:id", (req, res, next) => {
+  const template = tenantRecords(layoutTemplates, req.tenant.id).get(req.params.id);
+  const version =
+    template &&
+    findTemplateVersion(
+      template,
+      req.query.version !== undefined ? Number(req.query.version) : undefined
+    );
+  if (!version) {
+    return next(
+      template
+        ? createHttpError(404, "Versão do template não encontrada.", {
+            code: "template_version_not_found",
+            params: { id: req.params.id, version: req.query.version },
+          })
+        : createTemplateNotFoundError(req.params.id)
+    );
+  }
+  res.json({
+    status: "ok",
+    template: {
+      ...summarizeTemplate(template),
+      version: version.version,
+      layout: version.layout,
+      versionCreatedAt: version.createdAt,
     },
   });
 });
 
-app.get("/health", (req, res) => {
-  res.json({ status: "ok", timestamp: new Date().toISOString() });
+app.get("/templates/:id/versions", (req, res, next) => {
+  const template = tenantRecords(layoutTemplates, req.tenant.id).get(req.params.id);
+  if (!template) {
+    return next(createTemplateNotFoundError(req.params.id));
+  }
+  res.json({
+    status: "ok",
+    versions: template.versions.map(({ version, createdAt }) => ({
+      version,
+      createdAt,
+    })),
+  });
 });
 
-app.post("/preview", async (req, res, next) => {
+app.post("/templates", async (req, res, next) => {
   try {
-    const payload = validatePayload(req.body);
+    const input = validateTemplateInput(req.body, req.tenant.id);
+    const now = new Date().toISOString();
+    const template = {
+      id: uuidv4(),
+      name: input.name,
+      description: input.description || "",
+      createdAt: now,
+      updatedAt: now,
+      versions: [{ version: 1, layout: input.layout, createdAt: now }],
+    };
+    await saveLayoutTemplate(template, req.tenant.id);
 
-    const {
-      logoUrl,
-      layout,
-      materials,
-    } = payload;
-
-    const cardsPerPage = layout.cols * layout.rows;
-
-    const logoDataUrl = await fetchImageAsDataUrl(logoUrl);
-    const materialsWithQr = await Promise.all(
-      materials.map(async (material) => ({
-        ...material,
-        qrDataUrl: await fetchImageAsDataUrl(material.qr),
-      }))
-    );
+    res.status(201).json({
+      status: "ok",
+      template: { ...summarizeTemplate(template), version: 1, layout: input.layout },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    const pages = chunkArray(materialsWithQr, cardsPerPage);
+app.put("/templates/:id", async (req, res, next) => {
+  try {
+    const current = tenantRecords(layoutTemplates, req.tenant.id).get(req.params.id);
+    if (!current || current.deletedAt) {
+      throw createTemplateNotFoundError(req.params.id);
+    }
 
-    const html = buildHtml({
-      logoDataUrl,
-      layout,
-      pages,
-      mode: "preview",
+    const input = validateTemplateInput(req.body, req.tenant.id, { partial: true });
+    const now = new Date().toISOString();
+    const version = findTemplateVersion(current).version + 1;
+    const template = {
+      ...current,
+      name: input.name !== undefined ? input.name : current.name,
+      description:
+        input.description !== undefined ? input.description : current.description,
+      updatedAt: now,
+      versions: [...current.versions, { version, layout: input.layout, createdAt: now }],
+    };
+    await saveLayoutTemplate(template, req.tenant.id);
+
+    res.json({
+      status: "ok",
+      template: { ...summarizeTemplate(template), version, layout: input.layout },
     });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    res.type("html").send(html);
+// Exclusão lógica: as versões ficam guardadas para reproduzir lotes já impressos
+app.delete("/templates/:id", async (req, res, next) => {
+  try {
+    const current = tenantRecords(layoutTemplates, req.tenant.id).get(req.params.id);
+    if (!current || current.deletedAt) {
+      throw createTemplateNotFoundError(req.params.id);
+    }
+    await saveLayoutTemplate(
+      { ...current, deletedAt: new Date().toISOString() },
+      req.tenant.id
+    );
+    res.status(204).end();
   } catch (error) {
     next(error);
   }
 });
 
-app.post("/gerar-pdf", async (req, res, next) => {
+app.get("/card-templates", (req, res) => {
+  res.json({
+    status: "ok",
+    cardTemplates: Array.from(tenantRecords(cardTemplates, req.tenant.id).values()).map(
+      serializeCardTemplate
+    ),
+  });
+});
+
+app.get("/card-templates/:id", (req, res, next) => {
+  const cardTemplate = tenantRecords(cardTemplates, req.tenant.id).get(req.params.id);
+  if (!cardTemplate) {
+    return next(createCardTemplateNotFoundError(req.params.id));
+  }
+  res.json({ status: "ok", cardTemplate: serializeCardTemplate(cardTemplate) });
+});
+
+app.post("/card-templates", async (req, res, next) => {
   try {
-    const payload = validatePayload(req.body);
-    await ensureDirectories();
+    const { compiled, ...input } = validateCardTemplateInput(req.body);
+    const cardTemplate = {
+      id: uuidv4(),
+      ...input,
+      createdAt: new Date().toISOString(),
+    };
 
-    const {
-      logoUrl,
-      layout,
-      materials,
-    } = payload;
-
-    const cardsPerPage = layout.cols * layout.rows;
-
-    const logoDataUrl = await fetchImageAsDataUrl(logoUrl);
-    const materialsWithQr = await Promise.all(
-      materials.map(async (material) => ({
-        ...material,
-        qrDataUrl: await fetchImageAsDataUrl(material.qr),
-      }))
+    const tenantId = req.tenant.id;
+    await ensureDirectories(tenantId);
+    await writeJsonFile(
+      path.join(resolveTenantDirs(tenantId).cardTemplatesDir, `${cardTemplate.id}.json`),
+      cardTemplate
     );
+    tenantRecords(cardTemplates, tenantId).set(cardTemplate.id, { ...cardTemplate, compiled });
 
-    const pages = chunkArray(materialsWithQr, cardsPerPage);
+    res.status(201).json({ status: "ok", cardTemplate });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    const html = buildHtml({
-      logoDataUrl,
-      layout,
-      pages,
-    });
+app.delete("/card-templates/:id", async (req, res, next) => {
+  try {
+    const records = tenantRecords(cardTemplates, req.tenant.id);
+    if (!records.has(req.params.id)) {
+      throw createCardTemplateNotFoundError(req.params.id);
+    }
+    const { cardTemplatesDir } = resolveTenantDirs(req.tenant.id);
+    await fsPromises.unlink(path.join(cardTemplatesDir, `${req.params.id}.json`));
+    records.delete(req.params.id);
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.delete("/files/:id", async (req, res, next) => {
+  try {
+    const record = await findFileRecord(req.tenant.id, req.params.id);
+    if (!record) {
+      throw createHttpError(404, "Arquivo não encontrado.");
+    }
+    await deleteStoredFile(record);
+    logger.info("PDF excluído a pedido", { scope: "Limpeza", fileName: record.fileName });
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+});
 
-    const slug = makeSlug();
-    const fileBaseName = sanitizeFilename(slug);
-    const pdfFileName = `${fileBaseName}.pdf`;
-    const pdfPath = path.join(CARDS_DIR, pdfFileName);
+app.get("/printers", (req, res) => {
+  res.json({
+    status: "ok",
+    printers: Array.from(tenantRecords(printers, req.tenant.id).values()),
+  });
+});
 
-    await generatePdf({
-      html,
-      outputPath: pdfPath,
+app.get("/printers/:id", (req, res) => {
+  const printer = tenantRecords(printers, req.tenant.id).get(req.params.id);
+  if (!printer) {
+    return res.status(404).json({
+      status: "error",
+      message: "Impressora não encontrada.",
     });
+  }
+  res.json({ status: "ok", printer });
+});
 
-    // Agenda exclusão automática após 10 minutos
-    await schedulePdfDeletion(pdfPath, pdfFileName);
+app.post("/printers", async (req, res, next) => {
+  try {
+    const tenantId = req.tenant.id;
+    const input = validatePrinterInput(req.body);
+    await checkPrinterHost(input.host);
+    const records = tenantRecords(printers, tenantId);
+    const existing = records.get(input.id);
+    const now = new Date().toISOString();
+    const printer = {
+      ...input,
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now,
+    };
 
-    const baseUrl = resolveBaseUrl(req);
-    const viewerId = path.parse(pdfFileName).name;
-    const downloadUrl = `${baseUrl}/files/${pdfFileName}`;
-    const viewerUrl = `${baseUrl}/view/${viewerId}`;
+    await ensureDirectories(tenantId);
+    const { printersDir } = resolveTenantDirs(tenantId);
+    await writeJsonFile(path.join(printersDir, `${printer.id}.json`), printer);
+    records.set(printer.id, printer);
 
-    console.info("[/gerar-pdf] PDF gerado com sucesso:", {
-      pdfPath,
-      downloadUrl,
-      viewerUrl,
-    });
+    res.status(existing ? 200 : 201).json({ status: "ok", printer });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    res.status(201).json({
-      status: "ok",
-      downloadUrl,
-      viewerUrl,
-    });
+app.delete("/printers/:id", async (req, res, next) => {
+  try {
+    const records = tenantRecords(printers, req.tenant.id);
+    if (!records.has(req.params.id)) {
+      throw createHttpError(404, "Impressora não encontrada.");
+    }
+    const { printersDir } = resolveTenantDirs(req.tenant.id);
+    await fsPromises.unlink(path.join(printersDir, `${req.params.id}.json`));
+    records.delete(req.params.id);
+    res.status(204).end();
   } catch (error) {
     next(error);
   }
 });
 
-app.get("/view/:fileId", async (req, res, next) => {
+// Grava a correção medida na página de calibração; campos omitidos voltam ao
+// neutro (deslocamento 0, escala 1)
+app.put("/printers/:id/calibration", async (req, res, next) => {
   try {
-    const { fileId } = req.params;
-    const sanitizedId = sanitizeFilename(fileId);
-    const pdfFileName = `${sanitizedId}.pdf`;
-    const pdfPath = path.join(CARDS_DIR, pdfFileName);
+    const tenantId = req.tenant.id;
+    const records = tenantRecords(printers, tenantId);
+    const existing = records.get(req.params.id);
+    if (!existing) {
+      throw createHttpError(404, "Impressora não encontrada.");
+    }
+    const printer = {
+      ...existing,
+      calibration: validatePrinterCalibration(req.body),
+      updatedAt: new Date().toISOString(),
+    };
 
-    const exists = fs.existsSync(pdfPath);
-    if (!exists) {
-      return res.status(404).send("Arquivo não encontrado.");
+    const { printersDir } = resolveTenantDirs(tenantId);
+    await writeJsonFile(path.join(printersDir, `${printer.id}.json`), printer);
+    records.set(printer.id, printer);
+    res.json({ status: "ok", printer });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Página de teste com réguas e o grid do layout, já com a calibração aplicada
+// (a do layout ou, com 'printerId', a da impressora)
+app.post("/calibration", async (req, res, next) => {
+  try {
+    const body = req.body || {};
+    const printer =
+      body.printerId !== undefined
+        ? tenantRecords(printers, req.tenant.id).get(body.printerId)
+        : null;
+    if (body.printerId !== undefined && !printer) {
+      throw createHttpError(400, "Campo 'printerId' deve ser uma impressora cadastrada.");
     }
+    const { layout } = resolvePayloadLayout(body, req.tenant, {
+      defaultPageSize: (printer && printer.defaultPaper) || undefined,
+    });
+    const calibratedLayout = applyPrinterCalibration(layout, printer);
 
-    const baseUrl = resolveBaseUrl(req);
-    const downloadPath = `${baseUrl}/files/${pdfFileName}`;
+    const pdfBuffer = await generatePdf({
+      html: buildCalibrationHtml(calibratedLayout),
+      pageWidth: calibratedLayout.pageWidth,
+      pageHeight: calibratedLayout.pageHeight,
+    });
+    const pdfBody = Buffer.from(pdfBuffer);
+    res.set({
+      "Content-Type": "application/pdf",
+      "Content-Disposition": `inline; filename="calibracao.pdf"`,
+      "Content-Length": String(pdfBody.length),
+    });
+    res.end(pdfBody);
+  } catch (error) {
+    next(error);
+  }
+});
 
-    res.type("html").send(`<!DOCTYPE html>
-      <html lang="pt-BR">
-        <head>
-          <meta charset="UTF-8">
-          <meta name="viewport" content="width=device-width, initial-scale=1.0">
-          <title>Visualização dos Cards</title>
-          <style>
-            body {
-              margin: 0;
-              font-family: Arial, sans-serif;
-              display: flex;
-              flex-direction: column;
-              height: 100vh;
-              background: #0f172a;
-              color: #e2e8f0;
-            }
-            header {
-              padding: 16px;
-              text-align: center;
-              background: #111c3a;
-            }
-            header h1 {
-              margin: 0;
-              font-size: 20px;
-            }
-            main {
-              flex: 1;
-              padding: 0;
-            }
-            .toolbar {
-              display: flex;
-              justify-content: center;
-              gap: 12px;
-              padding: 12px;
-              background: #0b1120;
-            }
-            .button {
-              display: inline-flex;
-              align-items: center;
-              justify-content: center;
-              padding: 10px 16px;
-              font-size: 16px;
-              font-weight: 600;
-              color: #0b1120;
-              background: #38bdf8;
-              border-radius: 8px;
-              text-decoration: none;
-            }
-            .viewer-container {
-              height: calc(100vh - 160px);
-              padding: 0 16px 16px;
-            }
-            .viewer-container embed,
-            .viewer-container iframe {
-              width: 100%;
-              height: 100%;
-              border: none;
-              border-radius: 12px;
-              box-shadow: 0 10px 30px rgba(15, 23, 42, 0.4);
-            }
-            @media (max-width: 768px) {
-              .viewer-container {
-                padding: 0;
-                height: calc(100vh - 140px);
-              }
-              .toolbar {
-                flex-direction: column;
-                padding: 8px;
-              }
-              .button {
-                width: calc(100% - 24px);
-                margin: 0 12px;
-              }
-            }
-          </style>
-        </head>
-        <body>
-          <header>
-            <h1>Visualização dos Cards</h1>
-          </header>
-          <div class="toolbar">
-            <a class="button" href="${downloadPath}" download>Baixar PDF</a>
-          </div>
-          <main class="viewer-container">
-            <embed src="${downloadPath}" type="application/pdf" width="100%" height="98%" />
-          </main>
-        </body>
-      </html>`);
+// Renderiza o payload e envia para 'printerId'. Responde 201 quando a impressora
+// aceitou o job e 502 quando o envio falhou; os dois casos entram no histórico.
+app.post("/print", async (req, res, next) => {
+  try {
+    const { printerId, copies = 1 } = req.body || {};
+    const printer = tenantRecords(printers, req.tenant.id).get(printerId);
+    if (!printer) {
+      throw createHttpError(400, "Campo 'printerId' deve ser uma impressora cadastrada.");
+    }
+    if (!Number.isInteger(copies) || copies < 1 || copies > PRINT_MAX_COPIES) {
+      throw createHttpError(
+        400,
+        `Campo 'copies' deve ser um inteiro entre 1 e ${PRINT_MAX_COPIES}.`
+      );
+    }
+    const payload = validatePayload(req.body, req.tenant, {
+      defaultPageSize: printer.defaultPaper || undefined,
+      allowSections: printer.language === "pdf",
+      pageHeader: printer.language === "pdf",
+    });
+
+    const entry = await printPayload({
+      printer,
+      payload: {
+        ...payload,
+        layout: applyPrinterCalibration(payload.layout, printer),
+        sections:
+          payload.sections &&
+          payload.sections.map((section) => ({
+            ...section,
+            layout: applyPrinterCalibration(section.layout, printer),
+          })),
+      },
+      copies,
+    });
+    res.status(entry.status === "accepted" ? 201 : 502).json({
+      status: entry.status === "accepted" ? "ok" : "error",
+      ...(entry.error ? { message: entry.error } : {}),
+      print: entry,
+    });
   } catch (error) {
     next(error);
   }
 });
 
+app.get("/print/history", (req, res) => {
+  const { printerId } = req.query;
+  const limit = Math.min(Number(req.query.limit) || 50, 500);
+  const entries = Array.from(tenantRecords(printHistory, req.tenant.id).values())
+    .filter((entry) => !printerId || entry.printerId === printerId)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .slice(0, limit);
+  res.json({ status: "ok", prints: entries });
+});
+
+app.get("/jobs/:id", (req, res) => {
+  const job = pdfJobs.get(req.params.id);
+  if (!job || job.tenantId !== req.tenant.id) {
+    return res.status(404).json({
+      status: "error",
+      message: "Job não encontrado.",
+    });
+  }
+  res.json(serializeJob(job));
+});
+
 app.use((err, req, res, _next) => {
-  console.error("[Erro]", err);
-  const statusCode = err.status || 500;
+  const statusCode =
+    err.status ||
+    (err instanceof multer.MulterError ? (err.code === "LIMIT_FILE_SIZE" ? 413 : 400) : 500);
+  // Erros do cliente não precisam de stack
+  if (statusCode >= 500) {
+    logger.error("Erro na requisição", { error: err, status: statusCode });
+  } else {
+    logger.warn("Requisição rejeitada", { error: err.message, status: statusCode });
+  }
+  if (err.retryAfter) {
+    res.setHeader("Retry-After", String(err.retryAfter));
+  }
+  if (err.validationErrors) {
+    const locale = resolveLocale(req);
+    const errors = localizeValidationErrors(err.validationErrors, locale);
+    res.setHeader("Content-Language", locale);
+    return res.status(statusCode).json({
+      status: "error",
+      message:
+        locale === "en"
+          ? VALIDATION_MESSAGES_EN.payload({ count: errors.length })
+          : err.message,
+      details: {
+        errors: errors.slice(0, VALIDATION_MAX_ERRORS),
+        total: errors.length,
+      },
+    });
+  }
+  if (err.messageCode) {
+    const locale = resolveLocale(req);
+    const translate = locale === "en" ? VALIDATION_MESSAGES_EN[err.messageCode] : null;
+    res.setHeader("Content-Language", locale);
+    return res.status(statusCode).json({
+      status: "error",
+      code: err.messageCode,
+      message: translate ? translate(err.messageParams || {}) : err.message,
+      ...(err.details ? { details: err.details } : {}),
+    });
+  }
   res.status(statusCode).json({
     status: "error",
     message: err.message || "Erro interno no servidor.",
+    ...(err.details ? { details: err.details } : {}),
   });
 });
 
-ensureDirectories()
-  .then(() => {
-    const server = app.listen(PORT, "0.0.0.0", () => {
-      console.log(`✅ Servidor iniciado na porta ${PORT}`);
-      console.log(`📁 Diretório de dados: ${DATA_DIR}`);
-      if (BASE_URL) {
-        console.log(`🌐 URL base: ${BASE_URL}`);
-      }
-      console.log(`💚 Health check disponível em: /health`);
-    });
+// Diretórios, tenants e chaves carregados antes de aceitar conexões
+async function prepareServer() {
+  await ensureDirectories();
+  await loadAuthConfig();
+}
 
-    // Tratamento de erros do servidor
-    server.on("error", (error) => {
-      console.error("❌ Erro no servidor:", error);
-      if (error.code === "EADDRINUSE") {
-        console.error(`❌ Porta ${PORT} já está em uso`);
-      }
+function startServer() {
+  prepareServer()
+    .then(() => {
+      startFileSweeper();
+
+      const server = app.listen(PORT, "0.0.0.0", () => {
+        logger.info("Servidor iniciado", {
+          port: PORT,
+          dataDir: DATA_DIR,
+          baseUrl: BASE_URL,
+          health: "/health",
+          metrics: "/metrics",
+        });
+      });
+
+      browserPool.warmUp().catch((error) => {
+        logger.error("Falha ao aquecer pool de navegadores", { scope: "BrowserPool", error });
+      });
+
+      // Desligamento gracioso: para de aceitar conexões, espera as renderizações
+      // em andamento e fecha os navegadores
+      const shutdown = (signal) => {
+        logger.info("Encerrando servidor", { signal });
+        server.close();
+        browserPool
+          .shutdown()
+          .catch((error) => {
+            logger.error("Erro ao encerrar pool de navegadores", { scope: "BrowserPool", error });
+          })
+          .finally(() => process.exit(0));
+      };
+      process.once("SIGTERM", () => shutdown("SIGTERM"));
+      process.once("SIGINT", () => shutdown("SIGINT"));
+
+      // Tratamento de erros do servidor
+      server.on("error", (error) => {
+        logger.error(
+          error.code === "EADDRINUSE" ? `Porta ${PORT} já está em uso` : "Erro no servidor",
+          { error }
+        );
+        process.exit(1);
+      });
+    })
+    .catch((error) => {
+      logger.error("Falha ao preparar diretórios", { error });
       process.exit(1);
     });
-  })
-  .catch((error) => {
-    console.error("❌ Falha ao preparar diretórios:", error);
-    console.error("Stack:", error.stack);
-    process.exit(1);
+
+  // Tratamento de erros não capturados
+  process.on("unhandledRejection", (reason) => {
+    logger.error("Unhandled Rejection", {
+      error: reason instanceof Error ? reason : String(reason),
+    });
+    // Não fazemos exit aqui para não derrubar o servidor
   });
 
-// Tratamento de erros não capturados
-process.on("unhandledRejection", (reason, promise) => {
-  console.error("❌ Unhandled Rejection at:", promise, "reason:", reason);
-  console.error("Stack:", reason?.stack);
-  // Não fazemos exit aqui para não derrubar o servidor
-});
+  process.on("uncaughtException", (error) => {
+    logger.error("Uncaught Exception", { error });
+    // Apenas em casos críticos fazemos exit
+    if (error.code === "EADDRINUSE" || error.code === "EACCES") {
+      process.exit(1);
+    }
+  });
+}
 
-process.on("uncaughtException", (error) => {
-  console.error("❌ Uncaught Exception:", error);
-  console.error("Stack:", error.stack);
-  // Apenas em casos críticos fazemos exit
-  if (error.code === "EADDRINUSE" || error.code === "EACCES") {
-    process.exit(1);
-  }
-});
+// Importado pelos testes, o módulo só expõe o app e as funções usadas por eles
+if (process.argv[1] && fs.realpathSync(process.argv[1]) === __filename) {
+  startServer();
+}
 
+export { app, prepareServer, browserPool, fileStorage, buildFileUrls, submitPrintJob };
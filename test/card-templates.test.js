@@ -0,0 +1,82 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { once } from "events";
+import { promises as fsPromises } from "fs";
+import os from "os";
+import path from "path";
+
+let dataDir;
+let server;
+let baseUrl;
+
+before(async () => {
+  dataDir = await fsPromises.mkdtemp(path.join(os.tmpdir(), "sap-card-templates-"));
+  Object.assign(process.env, {
+    DATA_DIR: dataDir,
+    AUTH_DISABLED: "true",
+    LOG_LEVEL: "error",
+  });
+  const serverModule = await import("../src/server.js");
+  await serverModule.prepareServer();
+
+  server = serverModule.app.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  server.closeAllConnections();
+  server.close();
+  await fsPromises.rm(dataDir, { recursive: true, force: true });
+});
+
+async function createCardTemplate(body) {
+  const response = await fetch(`${baseUrl}/card-templates`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ name: "Card", template: "<b>{{nome}}</b>", ...body }),
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+test("erro de compilação do template devolve 400 com a linha", async () => {
+  const { status, body } = await createCardTemplate({
+    template: "<div>\n  {{nome}}\n  {{#if codigo}}\n</div>",
+  });
+
+  assert.equal(status, 400);
+  assert.match(body.message, /^Erro ao compilar template na linha \d+/);
+  assert.equal(typeof body.details.line, "number");
+});
+
+test("marcação proibida aponta a linha do template", async () => {
+  const { status, body } = await createCardTemplate({
+    template: "<div>{{nome}}</div>\n<img src=\"x\" onerror=\"alert(1)\">",
+  });
+
+  assert.equal(status, 400);
+  assert.match(body.message, /^Template inválido na linha 2: atributos de evento/);
+  assert.deepEqual(body.details, { line: 2 });
+});
+
+test("chaves dentro de strings e comentários do CSS não contam no balanceamento", async () => {
+  const { status } = await createCardTemplate({
+    css: 'b::after { content: "}"; }\n/* { */\nb::before { content: \'{\\\'\'; }',
+  });
+
+  assert.equal(status, 201);
+});
+
+test("comentário no CSS não esconde chave desbalanceada", async () => {
+  const unmatched = await createCardTemplate({ css: "b { color: red; /* { */ }\n}" });
+  assert.equal(unmatched.status, 400);
+  assert.deepEqual(unmatched.body.details, { line: 2 });
+
+  const unclosed = await createCardTemplate({ css: "b { color: red; /* } */" });
+  assert.equal(unclosed.status, 400);
+  assert.equal(unclosed.body.message, "CSS do template com chaves desbalanceadas.");
+
+  const openComment = await createCardTemplate({ css: "b { color: red; } /* " });
+  assert.equal(openComment.status, 400);
+  assert.match(openComment.body.message, /comentário sem fim na linha 1/);
+});
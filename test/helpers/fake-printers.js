@@ -0,0 +1,103 @@
+import http from "http";
+import net from "net";
+
+// Impressora raw (porta 9100, JetDirect): guarda os bytes de cada conexão
+export async function startRawPrinter() {
+  const jobs = [];
+  const server = net.createServer((socket) => {
+    const chunks = [];
+    socket.on("data", (chunk) => chunks.push(chunk));
+    socket.on("end", () => {
+      jobs.push(Buffer.concat(chunks));
+      socket.end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return {
+    port: server.address().port,
+    jobs,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+function writeIppAttribute(chunks, valueTag, name, value) {
+  const nameBuffer = Buffer.from(name, "utf8");
+  const header = Buffer.alloc(1 + 2 + nameBuffer.length + 2);
+  header.writeUInt8(valueTag, 0);
+  header.writeUInt16BE(nameBuffer.length, 1);
+  nameBuffer.copy(header, 3);
+  header.writeUInt16BE(value.length, 3 + nameBuffer.length);
+  chunks.push(header, value);
+}
+
+function int32(value) {
+  const buffer = Buffer.alloc(4);
+  buffer.writeInt32BE(value, 0);
+  return buffer;
+}
+
+// Resposta IPP/1.1 com o status informado e, em caso de sucesso, job-id e job-state
+function encodeIppResponse({ requestId, statusCode, statusMessage, jobId }) {
+  const chunks = [];
+  const header = Buffer.alloc(8);
+  header.writeUInt16BE(0x0101, 0);
+  header.writeUInt16BE(statusCode, 2);
+  header.writeInt32BE(requestId, 4);
+  chunks.push(header, Buffer.from([0x01]));
+  writeIppAttribute(chunks, 0x47, "attributes-charset", Buffer.from("utf-8"));
+  writeIppAttribute(chunks, 0x48, "attributes-natural-language", Buffer.from("pt-br"));
+  if (statusMessage) {
+    writeIppAttribute(chunks, 0x41, "status-message", Buffer.from(statusMessage));
+  }
+  if (jobId !== undefined) {
+    chunks.push(Buffer.from([0x02]));
+    writeIppAttribute(chunks, 0x21, "job-id", int32(jobId));
+    writeIppAttribute(chunks, 0x23, "job-state", int32(3)); // pending
+  }
+  chunks.push(Buffer.from([0x03]));
+  return Buffer.concat(chunks);
+}
+
+// Impressora IPP mínima: aceita Print-Job em 'queue' e responde com
+// 'statusCode' (0x0000 = aceito). Os corpos recebidos ficam em 'requests'.
+export async function startIppPrinter({ queue = "/ipp/print", statusCode = 0x0000 } = {}) {
+  const requests = [];
+  let nextJobId = 100;
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => {
+      const body = Buffer.concat(chunks);
+      if (
+        req.method !== "POST" ||
+        req.url !== queue ||
+        req.headers["content-type"] !== "application/ipp"
+      ) {
+        res.writeHead(404);
+        return res.end();
+      }
+      requests.push(body);
+      const accepted = statusCode <= 0x00ff;
+      res.writeHead(200, { "Content-Type": "application/ipp" });
+      return res.end(
+        encodeIppResponse({
+          requestId: body.readInt32BE(4),
+          statusCode,
+          statusMessage: accepted ? undefined : "document-format-not-supported",
+          jobId: accepted ? (nextJobId += 1) : undefined,
+        })
+      );
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return {
+    port: server.address().port,
+    queue,
+    requests,
+    close: () =>
+      new Promise((resolve) => {
+        server.close(resolve);
+        server.closeAllConnections();
+      }),
+  };
+}
@@ -0,0 +1,110 @@
+import http from "http";
+
+function escapeXml(value) {
+  return String(value).replace(/[<>&'"]/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
+function sendXml(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/xml" });
+  res.end(`<?xml version="1.0" encoding="UTF-8"?>${body}`);
+}
+
+function sendNotFound(req, res) {
+  if (req.method === "HEAD") {
+    res.writeHead(404);
+    return res.end();
+  }
+  return sendXml(
+    res,
+    404,
+    "<Error><Code>NoSuchKey</Code><Message>The specified key does not exist.</Message></Error>"
+  );
+}
+
+// Servidor compatível com o subconjunto da API S3 usado pelo driver de
+// armazenamento (estilo path: /<bucket>/<chave>), no lugar de um MinIO local.
+// Chaves em 'truncatedKeys' têm o download interrompido no meio do corpo.
+export async function startFakeS3({ bucket }) {
+  const objects = new Map();
+  const truncatedKeys = new Set();
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    const [, requestBucket, ...keyParts] = url.pathname.split("/");
+    const key = decodeURIComponent(keyParts.join("/"));
+    if (requestBucket !== bucket) {
+      return sendXml(res, 404, "<Error><Code>NoSuchBucket</Code></Error>");
+    }
+
+    if (req.method === "GET" && !key && url.searchParams.get("list-type") === "2") {
+      const prefix = url.searchParams.get("prefix") || "";
+      const contents = [...objects.entries()]
+        .filter(([objectKey]) => objectKey.startsWith(prefix))
+        .map(
+          ([objectKey, object]) =>
+            `<Contents><Key>${escapeXml(objectKey)}</Key><LastModified>${object.lastModified.toISOString()}</LastModified><Size>${object.body.length}</Size></Contents>`
+        )
+        .join("");
+      return sendXml(
+        res,
+        200,
+        `<ListBucketResult><Name>${bucket}</Name><Prefix>${escapeXml(prefix)}</Prefix><KeyCount>${objects.size}</KeyCount><IsTruncated>false</IsTruncated>${contents}</ListBucketResult>`
+      );
+    }
+
+    if (req.method === "PUT") {
+      const chunks = [];
+      req.on("data", (chunk) => chunks.push(chunk));
+      req.on("end", () => {
+        objects.set(key, {
+          body: Buffer.concat(chunks),
+          contentType: req.headers["content-type"] || "application/octet-stream",
+          lastModified: new Date(),
+        });
+        res.writeHead(200, { ETag: '"fake"' });
+        res.end();
+      });
+      return undefined;
+    }
+
+    const object = objects.get(key);
+    if (req.method === "DELETE") {
+      objects.delete(key);
+      res.writeHead(204);
+      return res.end();
+    }
+    if (!object) {
+      return sendNotFound(req, res);
+    }
+
+    const headers = {
+      "Content-Type": object.contentType,
+      "Content-Length": String(object.body.length),
+      "Last-Modified": object.lastModified.toUTCString(),
+      ETag: '"fake"',
+    };
+    if (req.method === "HEAD") {
+      res.writeHead(200, headers);
+      return res.end();
+    }
+    res.writeHead(200, headers);
+    if (truncatedKeys.has(key)) {
+      res.write(object.body.subarray(0, Math.floor(object.body.length / 2)));
+      setTimeout(() => res.socket.destroy(), 20);
+      return undefined;
+    }
+    return res.end(object.body);
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return {
+    endpoint: `http://127.0.0.1:${server.address().port}`,
+    objects,
+    truncatedKeys,
+    close: () =>
+      new Promise((resolve) => {
+        server.close(resolve);
+        server.closeAllConnections();
+      }),
+  };
+}
@@ -0,0 +1,121 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { once } from "events";
+import { promises as fsPromises } from "fs";
+import os from "os";
+import path from "path";
+import ExcelJS from "exceljs";
+
+let dataDir;
+let server;
+let baseUrl;
+
+before(async () => {
+  dataDir = await fsPromises.mkdtemp(path.join(os.tmpdir(), "sap-import-"));
+  Object.assign(process.env, {
+    DATA_DIR: dataDir,
+    AUTH_DISABLED: "true",
+    LOG_LEVEL: "error",
+  });
+  const serverModule = await import("../src/server.js");
+  await serverModule.prepareServer();
+
+  server = serverModule.app.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  server.closeAllConnections();
+  server.close();
+  await fsPromises.rm(dataDir, { recursive: true, force: true });
+});
+
+async function importSpreadsheet(buffer, fileName, fields) {
+  const form = new FormData();
+  form.append("file", new Blob([buffer]), fileName);
+  Object.entries(fields).forEach(([name, value]) =>
+    form.append(name, typeof value === "string" ? value : JSON.stringify(value))
+  );
+  const response = await fetch(`${baseUrl}/materials/import`, { method: "POST", body: form });
+  return { status: response.status, body: await response.json() };
+}
+
+const MAPPING = { Material: "codigo", "Texto breve": "nome", Tipo: "codeType" };
+
+test("CSV em Windows-1252 com ';' vira materiais normalizados", async () => {
+  const csv = Buffer.from(
+    [
+      "MATERIAL;texto breve;Tipo;Depósito",
+      " 100200 ; Válvula de esfera ;qr, code128;A1",
+      ";;;",
+      "100300;Conexão;;A2",
+    ].join("\r\n"),
+    "latin1"
+  );
+
+  const { status, body } = await importSpreadsheet(csv, "export.csv", { mapping: MAPPING });
+
+  assert.equal(status, 200);
+  assert.deepEqual(body, {
+    status: "ok",
+    total: 2,
+    materials: [
+      { codigo: "100200", nome: "Válvula de esfera", codeType: ["qr", "code128"] },
+      { codigo: "100300", nome: "Conexão" },
+    ],
+  });
+});
+
+test("XLSX converte números, datas, fórmulas e rich text em texto", async () => {
+  const workbook = new ExcelJS.Workbook();
+  workbook.addWorksheet("Outra").addRow(["nada"]);
+  const worksheet = workbook.addWorksheet("Materiais");
+  worksheet.addRow(["Material", "Texto breve", "Validade", "Lote"]);
+  worksheet.addRow([
+    7891234567895,
+    { richText: [{ text: "Parafuso " }, { text: "M6", font: { bold: true } }] },
+    new Date(Date.UTC(2026, 0, 31)),
+    { formula: "1+41", result: 42 },
+  ]);
+  const buffer = Buffer.from(await workbook.xlsx.writeBuffer());
+
+  const { status, body } = await importSpreadsheet(buffer, "export.xlsx", {
+    sheet: "Materiais",
+    mapping: { Material: "codigo", "Texto breve": "nome", Validade: "validade", Lote: "lote" },
+    payload: { layout: { preset: "pimaco-6180", codeType: "ean13" } },
+  });
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.materials, [
+    { codigo: "7891234567895", nome: "Parafuso M6", validade: "2026-01-31", lote: "42" },
+  ]);
+});
+
+test("linhas inválidas voltam com o número da linha da planilha", async () => {
+  const csv = Buffer.from(
+    ["Material,Texto breve", "7891234567895,A", "789,B", "7891234567890,C", "7891234567895,"].join("\n")
+  );
+
+  const { status, body } = await importSpreadsheet(csv, "export.csv", {
+    mapping: { Material: "codigo", "Texto breve": "nome" },
+    payload: { layout: { preset: "pimaco-6180", codeType: "ean13" } },
+  });
+
+  assert.equal(status, 400);
+  assert.equal(body.message, "3 linha(s) com erro na planilha.");
+  assert.deepEqual(body.details.errors, [
+    { row: 3, message: "Linha 3: EAN-13 deve conter 12 ou 13 dígitos numéricos." },
+    { row: 4, message: "Linha 4: EAN-13 com dígito verificador inválido." },
+    { row: 5, message: "Linha 5: 'nome' é obrigatório." },
+  ]);
+});
+
+test("coluna do mapping ausente na planilha é recusada", async () => {
+  const csv = Buffer.from("Material;Descricao\n1;A\n");
+
+  const { status, body } = await importSpreadsheet(csv, "export.csv", { mapping: MAPPING });
+
+  assert.equal(status, 400);
+  assert.equal(body.message, "Colunas não encontradas na planilha: Texto breve, Tipo.");
+});
@@ -0,0 +1,117 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { once } from "events";
+import { promises as fsPromises } from "fs";
+import os from "os";
+import path from "path";
+
+let dataDir;
+let server;
+let baseUrl;
+
+before(async () => {
+  dataDir = await fsPromises.mkdtemp(path.join(os.tmpdir(), "sap-preview-"));
+  Object.assign(process.env, {
+    DATA_DIR: dataDir,
+    AUTH_DISABLED: "true",
+    LOG_LEVEL: "error",
+  });
+  const serverModule = await import("../src/server.js");
+  await serverModule.prepareServer();
+
+  server = serverModule.app.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  server.closeAllConnections();
+  server.close();
+  await fsPromises.rm(dataDir, { recursive: true, force: true });
+});
+
+// O preview devolve o HTML da folha sem passar pelo Chrome
+async function preview(body) {
+  const response = await fetch(`${baseUrl}/preview`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+  return { status: response.status, html: await response.text() };
+}
+
+test("qrPayload só lê campos do próprio material", async () => {
+  const inherited = await preview({
+    layout: { preset: "pimaco-6180", qrPayload: "{constructor}{toString}" },
+    materials: [{ nome: "A", codigo: "12" }],
+  });
+  assert.equal(inherited.status, 200);
+  assert.match(inherited.html, /QR indisponível/);
+  assert.doesNotMatch(inherited.html, /function Object/);
+
+  const own = await preview({
+    layout: { preset: "pimaco-6180", qrPayload: "{codigo}" },
+    materials: [{ nome: "A", codigo: "12" }],
+  });
+  assert.equal(own.status, 200);
+  assert.match(own.html, /class="qr-wrapper">\s*<img src="data:image\/svg\+xml;base64,/);
+});
+
+test("elementos do card saem na ordem do layout com o estilo de cada um", async () => {
+  const { status, html } = await preview({
+    layout: {
+      preset: "pimaco-6180",
+      elements: [
+        { type: "text", text: "Lote:", fontWeight: "bold", className: "injetada" },
+        { type: "field", field: "lote", label: "L ", align: "right", color: "#ff0000" },
+        { type: "field", field: "nome", maxChars: 3 },
+      ],
+    },
+    materials: [{ nome: "Parafuso <M6>", codigo: "1", lote: "42" }],
+  });
+
+  assert.equal(status, 200);
+  assert.match(
+    html,
+    new RegExp(
+      [
+        '<div class="card-element" style="font-weight:bold">Lote:</div>',
+        '<div class="card-element" style="text-align:right;color:#ff0000">L 42</div>',
+        '<div class="card-element">Par\\.\\.\\.</div>',
+      ].join("")
+    )
+  );
+  assert.doesNotMatch(html, /injetada/);
+});
+
+test("marcas de corte ficam afastadas do card pela sangria mais o cutMarkOffset", async () => {
+  const { status, html } = await preview({
+    layout: {
+      pageSize: "A4",
+      cols: 2,
+      rows: 2,
+      marginTop: 10,
+      marginBottom: 10,
+      marginLeft: 10,
+      marginRight: 10,
+      cardWidth: 40,
+      cardHeight: 30,
+      gapCol: 4,
+      gapRow: 4,
+      bleed: 1,
+      cardBackground: "#fde68a",
+      cutMarks: true,
+      cutMarkLength: 2,
+      cutMarkOffset: 0.5,
+    },
+    materials: [{ nome: "A", codigo: "1" }],
+  });
+
+  assert.equal(status, 200);
+  assert.match(html, /box-shadow: 0 0 0 1mm #fde68a;/);
+  assert.match(html, /\.cut-mark::before \{\s*width: 2mm;/);
+  assert.match(html, /\.cut-mark\.left::before \{ right: 1\.5mm; \}/);
+  assert.match(html, /\.cut-mark\.bottom::after \{ top: 1\.5mm; \}/);
+  // Um conjunto de marcas por card ocupado
+  assert.equal(html.match(/<span class="cut-mark top left"><\/span>/g).length, 1);
+});
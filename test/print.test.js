@@ -0,0 +1,197 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { once } from "events";
+import { promises as fsPromises } from "fs";
+import os from "os";
+import path from "path";
+import { startRawPrinter, startIppPrinter } from "./helpers/fake-printers.js";
+
+const TENANT = "default";
+const PRINT_HISTORY_MAX = 5;
+const ZPL = Buffer.from("^XA^FO20,20^FDteste^FS^XZ\n");
+const PDF = Buffer.from("%PDF-1.4\n%%EOF\n");
+
+let dataDir;
+let server;
+let baseUrl;
+let submitPrintJob;
+
+before(async () => {
+  dataDir = await fsPromises.mkdtemp(path.join(os.tmpdir(), "sap-print-"));
+  Object.assign(process.env, {
+    DATA_DIR: dataDir,
+    AUTH_DISABLED: "true",
+    LOG_LEVEL: "error",
+    // As impressoras falsas escutam em loopback, bloqueado por padrão
+    PRINTER_ALLOWED_NETWORKS: "127.0.0.0/8",
+    PRINT_TIMEOUT: "2000",
+    PRINT_HISTORY_MAX: String(PRINT_HISTORY_MAX),
+  });
+  const serverModule = await import("../src/server.js");
+  ({ submitPrintJob } = serverModule);
+  await serverModule.prepareServer();
+
+  server = serverModule.app.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  server.closeAllConnections();
+  server.close();
+  await fsPromises.rm(dataDir, { recursive: true, force: true });
+});
+
+async function request(method, url, body) {
+  const response = await fetch(`${baseUrl}${url}`, {
+    method,
+    headers: body ? { "Content-Type": "application/json" } : {},
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+async function registerPrinter(input) {
+  const { status, body } = await request("POST", "/printers", { name: input.id, ...input });
+  assert.equal(status, 201, body.message);
+  return body.printer;
+}
+
+// O documento já vem pronto: o teste cobre envio e histórico, não a renderização
+function print(printer, document, copies = 1) {
+  return submitPrintJob({
+    tenantId: TENANT,
+    printer,
+    copies,
+    render: async () => ({ document, warnings: [] }),
+  });
+}
+
+async function findHistoryEntry(printId) {
+  const { body } = await request("GET", "/print/history?limit=500");
+  return body.prints.find((entry) => entry.id === printId);
+}
+
+test("impressora raw recebe o documento uma vez por cópia", async () => {
+  const rawPrinter = await startRawPrinter();
+  try {
+    const printer = await registerPrinter({
+      id: "zebra",
+      protocol: "raw",
+      host: "127.0.0.1",
+      port: rawPrinter.port,
+      dpi: 300,
+    });
+    assert.equal(printer.dpi, 300);
+
+    const entry = await print(printer, ZPL, 2);
+    assert.equal(entry.status, "accepted");
+    assert.equal(entry.bytes, ZPL.length);
+    assert.deepEqual(rawPrinter.jobs, [Buffer.concat([ZPL, ZPL])]);
+    assert.equal((await findHistoryEntry(entry.id)).status, "accepted");
+  } finally {
+    await rawPrinter.close();
+  }
+});
+
+test("falha de conexão com a impressora raw fica no histórico", async () => {
+  const rawPrinter = await startRawPrinter();
+  await rawPrinter.close();
+  const printer = await registerPrinter({
+    id: "zebra-offline",
+    protocol: "raw",
+    host: "127.0.0.1",
+    port: rawPrinter.port,
+  });
+
+  const entry = await print(printer, ZPL);
+  assert.equal(entry.status, "failed");
+  assert.match(entry.error, /ECONNREFUSED/);
+  const recorded = await findHistoryEntry(entry.id);
+  assert.equal(recorded.status, "failed");
+  assert.equal(recorded.error, entry.error);
+});
+
+test("impressora IPP aceita o Print-Job e devolve o job-id", async () => {
+  const ippPrinter = await startIppPrinter();
+  try {
+    const printer = await registerPrinter({
+      id: "laser",
+      protocol: "ipp",
+      host: "127.0.0.1",
+      port: ippPrinter.port,
+      defaultPaper: "A4",
+    });
+
+    const entry = await print(printer, PDF);
+    assert.equal(entry.status, "accepted");
+    assert.deepEqual(entry.ipp, { statusCode: 0, jobId: 101, jobState: 3 });
+    const [body] = ippPrinter.requests;
+    assert.equal(body.readUInt16BE(2), 0x0002); // Print-Job
+    assert.ok(body.includes(Buffer.from("iso_a4_210x297mm")));
+    assert.ok(body.subarray(body.length - PDF.length).equals(PDF));
+    assert.equal((await findHistoryEntry(entry.id)).ipp.jobId, 101);
+  } finally {
+    await ippPrinter.close();
+  }
+});
+
+test("recusa da impressora IPP fica no histórico com o status", async () => {
+  const ippPrinter = await startIppPrinter({ statusCode: 0x040a });
+  try {
+    const printer = await registerPrinter({
+      id: "laser-recusa",
+      protocol: "ipp",
+      host: "127.0.0.1",
+      port: ippPrinter.port,
+    });
+
+    const entry = await print(printer, PDF);
+    assert.equal(entry.status, "failed");
+    assert.match(entry.error, /0x040a/);
+    assert.match(entry.error, /document-format-not-supported/);
+    assert.equal((await findHistoryEntry(entry.id)).status, "failed");
+  } finally {
+    await ippPrinter.close();
+  }
+});
+
+test("impressoras fora das redes liberadas são recusadas", async () => {
+  const { status, body } = await request("POST", "/printers", {
+    id: "metadados",
+    name: "Metadados",
+    protocol: "raw",
+    host: "169.254.169.254",
+  });
+  assert.equal(status, 400);
+  assert.match(body.message, /PRINTER_ALLOWED_NETWORKS/);
+});
+
+test("histórico guarda só as entradas mais recentes", async () => {
+  const rawPrinter = await startRawPrinter();
+  try {
+    const printer = await registerPrinter({
+      id: "zebra-lote",
+      protocol: "raw",
+      host: "127.0.0.1",
+      port: rawPrinter.port,
+    });
+    const entries = [];
+    for (let index = 0; index < PRINT_HISTORY_MAX + 2; index += 1) {
+      entries.push(await print(printer, ZPL));
+    }
+
+    const { body } = await request("GET", "/print/history?limit=500");
+    assert.deepEqual(
+      body.prints.map((entry) => entry.id).sort(),
+      entries
+        .slice(-PRINT_HISTORY_MAX)
+        .map((entry) => entry.id)
+        .sort()
+    );
+    const files = await fsPromises.readdir(path.join(dataDir, "prints"));
+    assert.equal(files.length, PRINT_HISTORY_MAX);
+  } finally {
+    await rawPrinter.close();
+  }
+});
@@ -0,0 +1,190 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { once } from "events";
+import { promises as fsPromises } from "fs";
+import os from "os";
+import path from "path";
+import puppeteer from "puppeteer";
+import { PDFDocument, PDFName, PDFDict, PDFArray } from "pdf-lib";
+
+let dataDir;
+let server;
+let baseUrl;
+let browserPool;
+let fileStorage;
+let browserUnavailable = false;
+
+// Sem um Chrome que o puppeteer consiga abrir, os testes de renderização são pulados
+async function probeBrowser() {
+  try {
+    const browser = await puppeteer.launch({ headless: "new", args: ["--no-sandbox"] });
+    await browser.close();
+    return false;
+  } catch (error) {
+    return `navegador indisponível: ${error.message.split("\n")[0]}`;
+  }
+}
+
+before(async () => {
+  browserUnavailable = await probeBrowser();
+  dataDir = await fsPromises.mkdtemp(path.join(os.tmpdir(), "sap-render-"));
+  Object.assign(process.env, {
+    DATA_DIR: dataDir,
+    AUTH_DISABLED: "true",
+    LOG_LEVEL: "error",
+    PDF_POOL_SIZE: "1",
+  });
+  const serverModule = await import("../src/server.js");
+  ({ browserPool, fileStorage } = serverModule);
+  await serverModule.prepareServer();
+
+  server = serverModule.app.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  server.closeAllConnections();
+  server.close();
+  await browserPool.shutdown();
+  await fsPromises.rm(dataDir, { recursive: true, force: true });
+});
+
+async function post(url, body) {
+  const response = await fetch(`${baseUrl}${url}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+const LAYOUT = {
+  pageSize: "A4",
+  cols: 1,
+  rows: 1,
+  marginTop: 10,
+  marginBottom: 10,
+  marginLeft: 10,
+  marginRight: 10,
+  gapCol: 0,
+  gapRow: 0,
+  cardWidth: 40,
+  cardHeight: 30,
+  cardPadding: 2,
+};
+
+test("fit 'wrap' com maxLines 1 limita o texto a uma linha e reporta o excesso", async (t) => {
+  if (browserUnavailable) return t.skip(browserUnavailable);
+
+  const { status, body } = await post("/gerar-pdf", {
+    layout: {
+      ...LAYOUT,
+      elements: [{ type: "field", field: "nome", fit: { mode: "wrap", maxLines: 1 } }],
+    },
+    materials: [
+      { nome: "Parafuso sextavado de aço inoxidável com porca e arruela", codigo: "1" },
+      { nome: "Curto", codigo: "2" },
+    ],
+  });
+
+  assert.equal(status, 201, body.message);
+  assert.deepEqual(body.textOverflows, [{ index: 0, field: "nome", mode: "wrap", codigo: "1" }]);
+});
+
+test("imagens por card não deixam o viewport em alta resolução na página do pool", async (t) => {
+  if (browserUnavailable) return t.skip(browserUnavailable);
+
+  const response = await fetch(`${baseUrl}/gerar-etiquetas`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      layout: LAYOUT,
+      materials: [{ nome: "A", codigo: "1" }],
+      format: "png",
+      dpi: 300,
+    }),
+  });
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get("content-type"), "application/zip");
+  await response.arrayBuffer();
+
+  // Com um único slot, o próximo render usa a mesma página
+  const viewport = await browserPool.run(async (page) => page.viewport());
+  assert.equal(viewport.deviceScaleFactor ?? 1, 1);
+  assert.deepEqual([viewport.width, viewport.height], [800, 600]);
+});
+
+test("PDF pedido com Accept: application/pdf volta no corpo e não é gravado", async (t) => {
+  if (browserUnavailable) return t.skip(browserUnavailable);
+
+  const stored = await fileStorage.listPdfs("default");
+  const response = await fetch(`${baseUrl}/gerar-pdf`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Accept: "application/pdf" },
+    body: JSON.stringify({ layout: LAYOUT, materials: [{ nome: "A", codigo: "1" }] }),
+  });
+
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get("content-type"), "application/pdf");
+  assert.match(response.headers.get("content-disposition"), /^inline; filename=".+\.pdf"$/);
+  assert.equal(response.headers.get("x-image-warnings"), "0");
+  assert.equal(response.headers.get("x-text-overflows"), "0");
+  const body = Buffer.from(await response.arrayBuffer());
+  assert.equal(response.headers.get("content-length"), String(body.length));
+  assert.equal(body.subarray(0, 5).toString(), "%PDF-");
+  assert.equal((await fileStorage.listPdfs("default")).length, stored.length);
+});
+
+// Entradas do /Outlines na ordem, com o índice da página de destino
+function readPdfOutline(pdfDocument) {
+  const { context } = pdfDocument;
+  const pageRefs = pdfDocument.getPages().map((page) => page.ref.toString());
+  const outline = pdfDocument.catalog.lookup(PDFName.of("Outlines"), PDFDict);
+  const entries = [];
+  let ref = outline.get(PDFName.of("First"));
+  while (ref) {
+    const item = context.lookup(ref, PDFDict);
+    const dest = item.lookup(PDFName.of("Dest"), PDFArray);
+    entries.push({
+      title: item.lookup(PDFName.of("Title")).decodeText(),
+      pageIndex: pageRefs.indexOf(dest.get(0).toString()),
+    });
+    ref = item.get(PDFName.of("Next"));
+  }
+  return entries;
+}
+
+test("seções com capa viram um PDF com sumário apontando a primeira página de cada uma", async (t) => {
+  if (browserUnavailable) return t.skip(browserUnavailable);
+
+  const response = await fetch(`${baseUrl}/gerar-pdf?inline=1`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      layout: LAYOUT,
+      cover: { title: "Lote 42" },
+      sections: [
+        {
+          title: "Seção A",
+          materials: [
+            { nome: "A", codigo: "1" },
+            { nome: "B", codigo: "2" },
+          ],
+        },
+        { title: "Seção B", materials: [{ nome: "C", codigo: "3" }] },
+      ],
+    }),
+  });
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get("content-type"), "application/pdf");
+
+  const pdf = await PDFDocument.load(await response.arrayBuffer());
+  assert.equal(pdf.getPageCount(), 4);
+  assert.equal(pdf.getTitle(), "Lote 42");
+  assert.deepEqual(readPdfOutline(pdf), [
+    { title: "Lote 42", pageIndex: 0 },
+    { title: "Seção A", pageIndex: 1 },
+    { title: "Seção B", pageIndex: 3 },
+  ]);
+});
@@ -0,0 +1,122 @@
+import { test, before, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import { once } from "events";
+import { promises as fsPromises } from "fs";
+import os from "os";
+import path from "path";
+import { startFakeS3 } from "./helpers/fake-s3.js";
+
+const BUCKET = "cards";
+const TENANT = "default";
+const PDF = Buffer.concat([Buffer.from("%PDF-1.4\n"), Buffer.alloc(64 * 1024, "x")]);
+
+let dataDir;
+let fakeS3;
+let server;
+let baseUrl;
+let fileStorage;
+let buildFileUrls;
+
+// A configuração é lida na carga do módulo: o ambiente precisa estar pronto antes do import
+before(async () => {
+  fakeS3 = await startFakeS3({ bucket: BUCKET });
+  dataDir = await fsPromises.mkdtemp(path.join(os.tmpdir(), "sap-storage-"));
+  Object.assign(process.env, {
+    DATA_DIR: dataDir,
+    STORAGE_DRIVER: "s3",
+    S3_BUCKET: BUCKET,
+    S3_ENDPOINT: fakeS3.endpoint,
+    S3_FORCE_PATH_STYLE: "true",
+    S3_ACCESS_KEY_ID: "test",
+    S3_SECRET_ACCESS_KEY: "test",
+    LINK_SIGNING_SECRET: "segredo-de-teste",
+    AUTH_DISABLED: "true",
+    LOG_LEVEL: "error",
+  });
+  const serverModule = await import("../src/server.js");
+  ({ fileStorage, buildFileUrls } = serverModule);
+  await serverModule.prepareServer();
+
+  server = serverModule.app.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  server.closeAllConnections();
+  server.close();
+  await fakeS3.close();
+  await fsPromises.rm(dataDir, { recursive: true, force: true });
+});
+
+test("driver S3 grava, lista, lê e remove PDFs", async () => {
+  assert.equal(fileStorage.name, "s3");
+  await fileStorage.putPdf(TENANT, "cards_a.pdf", PDF);
+
+  assert.ok(fakeS3.objects.has(`${TENANT}/cards/cards_a.pdf`));
+  assert.equal(await fileStorage.hasPdf(TENANT, "cards_a.pdf"), true);
+  assert.deepEqual(
+    (await fileStorage.listPdfs(TENANT)).map(({ fileName }) => fileName),
+    ["cards_a.pdf"]
+  );
+
+  const file = await fileStorage.getPdf(TENANT, "cards_a.pdf");
+  assert.equal(file.size, PDF.length);
+  const chunks = [];
+  for await (const chunk of file.stream) chunks.push(chunk);
+  assert.ok(Buffer.concat(chunks).equals(PDF));
+
+  await fileStorage.deletePdf(TENANT, "cards_a.pdf");
+  assert.equal(await fileStorage.hasPdf(TENANT, "cards_a.pdf"), false);
+  assert.equal(await fileStorage.getPdf(TENANT, "cards_a.pdf"), null);
+});
+
+test("driver S3 guarda os registros dos arquivos", async () => {
+  const record = { id: "rec-1", tenant: TENANT, pdfFileName: "cards_b.pdf" };
+  await fileStorage.writeRecord(record);
+
+  assert.deepEqual(await fileStorage.readRecord(TENANT, "rec-1"), record);
+  assert.deepEqual(await fileStorage.listRecords(TENANT), [record]);
+
+  await fileStorage.deleteRecord(TENANT, "rec-1");
+  assert.equal(await fileStorage.readRecord(TENANT, "rec-1"), null);
+});
+
+test("GET /files entrega o PDF do S3 sem permitir cache compartilhado", async () => {
+  await fileStorage.putPdf(TENANT, "cards_c.pdf", PDF);
+  const { downloadUrl } = buildFileUrls(baseUrl, "cards_c.pdf", TENANT, Date.now() + 60000);
+
+  const response = await fetch(downloadUrl);
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get("content-type"), "application/pdf");
+  assert.equal(response.headers.get("cache-control"), "private, no-store");
+  // O cabeçalho da rota se soma ao X-Request-Id exposto pelo CORS
+  assert.equal(
+    response.headers.get("access-control-expose-headers"),
+    "X-Request-Id, Content-Disposition"
+  );
+  assert.ok(Buffer.from(await response.arrayBuffer()).equals(PDF));
+});
+
+test("falha de leitura no meio do download encerra a conexão", async () => {
+  await fileStorage.putPdf(TENANT, "cards_d.pdf", PDF);
+  fakeS3.truncatedKeys.add(`${TENANT}/cards/cards_d.pdf`);
+  const { downloadUrl } = buildFileUrls(baseUrl, "cards_d.pdf", TENANT, Date.now() + 60000);
+
+  // Logs de erro vão para o stderr, uma linha JSON por evento
+  const stderrWrite = mock.method(process.stderr, "write", () => true);
+  const response = await fetch(downloadUrl);
+  assert.equal(response.status, 200);
+  await assert.rejects(response.arrayBuffer());
+  stderrWrite.mock.restore();
+
+  const logged = stderrWrite.mock.calls.map(({ arguments: [line] }) => String(line));
+  assert.ok(logged.some((line) => line.includes("Falha ao ler PDF do armazenamento")));
+  // Nada chega ao handler de erros JSON depois que os headers foram enviados
+  assert.ok(!logged.some((line) => line.includes("Erro na requisição")));
+
+  // O servidor continua atendendo depois da falha
+  const health = await fetch(`${baseUrl}/health`);
+  assert.equal(health.status, 200);
+  assert.equal((await health.json()).storage, "s3");
+});
@@ -0,0 +1,350 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { once } from "events";
+import { promises as fsPromises } from "fs";
+import os from "os";
+import path from "path";
+
+let dataDir;
+let server;
+let baseUrl;
+
+before(async () => {
+  dataDir = await fsPromises.mkdtemp(path.join(os.tmpdir(), "sap-validation-"));
+  Object.assign(process.env, {
+    DATA_DIR: dataDir,
+    AUTH_DISABLED: "true",
+    LOG_LEVEL: "error",
+  });
+  const serverModule = await import("../src/server.js");
+  await serverModule.prepareServer();
+
+  server = serverModule.app.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  server.closeAllConnections();
+  server.close();
+  await fsPromises.rm(dataDir, { recursive: true, force: true });
+});
+
+async function post(url, body, locale = "pt-BR") {
+  const response = await fetch(`${baseUrl}${url}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "Accept-Language": locale },
+    body: JSON.stringify(body),
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+const paths = (body) => body.details.errors.map((error) => error.path);
+
+test("layout e materiais inválidos saem no mesmo erro", async () => {
+  const { status, body } = await post("/gerar-etiquetas", {
+    layout: {
+      preset: "pimaco-6180",
+      cols: 9,
+      startPosition: 99,
+      elements: [{ type: "text" }],
+    },
+    materials: [{ nome: "A", codigo: "12", codeType: "ean13" }],
+  });
+
+  assert.equal(status, 422);
+  assert.deepEqual(paths(body), [
+    "layout.startPosition",
+    "layout",
+    "layout.elements[0].text",
+    "materials[0].codigo",
+  ]);
+  const codes = body.details.errors.map((error) => error.code);
+  assert.deepEqual(codes, ["start_position", "grid_overflow", "element_required", "ean13_format"]);
+});
+
+test("erros de layout são traduzidos para inglês", async () => {
+  const { status, body } = await post(
+    "/gerar-etiquetas",
+    {
+      layout: { preset: "pimaco-6180", cutMarks: true },
+      materials: [{ nome: "A", codigo: "1" }],
+    },
+    "en"
+  );
+
+  assert.equal(status, 422);
+  assert.equal(body.details.errors[0].path, "layout.cutMarks");
+  assert.match(body.details.errors[0].message, /^Cut marks reach 4 mm past the card/);
+});
+
+test("seções apontam o próprio layout e não repetem os erros do layout do payload", async () => {
+  const { status, body } = await post("/gerar-pdf", {
+    layout: { preset: "pimaco-6180", startPosition: 31 },
+    sections: [
+      { title: "A", materials: [{ nome: "A", codigo: "1" }] },
+      { title: "B", materials: [{ nome: "B", codigo: "2" }] },
+      {
+        title: "C",
+        layout: { preset: "pimaco-6180", startPosition: { row: 11, col: 1 } },
+        materials: [{ nome: "C", codigo: "3" }],
+      },
+    ],
+  });
+
+  assert.equal(status, 422);
+  assert.deepEqual(paths(body), ["layout.startPosition", "sections[2].layout.startPosition"]);
+});
+
+test("preset e template inexistentes respondem com código e mensagem localizada", async () => {
+  const preset = await fetch(`${baseUrl}/presets/nao-existe`, {
+    headers: { "Accept-Language": "en" },
+  });
+  assert.equal(preset.status, 404);
+  assert.deepEqual(await preset.json(), {
+    status: "error",
+    code: "preset_not_found",
+    message: "Preset 'nao-existe' not found.",
+  });
+
+  const { status, body } = await post(
+    "/gerar-etiquetas",
+    { templateId: "nao-existe", materials: [{ nome: "A", codigo: "1" }] },
+    "en"
+  );
+  assert.equal(status, 422);
+  assert.deepEqual(body.details.errors, [
+    {
+      path: "templateId",
+      code: "template_not_found",
+      message: "Template 'nao-existe' not found.",
+    },
+  ]);
+});
+
+test("erros do esquema e das regras saem no mesmo 422", async () => {
+  const { status, body } = await post("/gerar-etiquetas", {
+    layout: { preset: "pimaco-6180", codeType: "ean13", cutMarks: "sim" },
+    materials: [
+      { nome: "A", codigo: "7891234567890" },
+      { nome: "B", codigo: "789" },
+      { nome: "C", codigo: "7891234567895", quantidade: true },
+    ],
+  });
+
+  assert.equal(status, 422);
+  assert.deepEqual(
+    body.details.errors.map(({ path, code }) => ({ path, code })),
+    [
+      { path: "layout.cutMarks", code: "type" },
+      { path: "materials[2].quantidade", code: "type" },
+      { path: "materials[0].codigo", code: "ean13_check_digit" },
+      { path: "materials[1].codigo", code: "ean13_format" },
+    ]
+  );
+});
+
+test("códigos de barras são validados na simbologia do material ou do layout", async () => {
+  const { status, body } = await post(
+    "/gerar-etiquetas",
+    {
+      layout: { preset: "pimaco-6180", codeType: "code128" },
+      materials: [
+        { nome: "A", codigo: "Válvula" },
+        { nome: "B", codigo: "x".repeat(81) },
+        { nome: "C", codigo: "ABC-123" },
+        { nome: "D", codigo: "789123456789", codeType: ["qr", "ean13"] },
+        { nome: "E", codigo: "7891234567890", codeType: "ean13" },
+        { nome: "F", codigo: "78912345678X", codeType: "ean13" },
+        { nome: "G", codigo: "7891234567895", codeType: "ean13" },
+      ],
+    },
+    "en"
+  );
+
+  assert.equal(status, 422);
+  assert.deepEqual(body.details.errors, [
+    {
+      path: "materials[0].codigo",
+      code: "code128_charset",
+      message: "Code128 only accepts ASCII characters.",
+    },
+    {
+      path: "materials[1].codigo",
+      code: "code128_length",
+      message: "Code128 accepts at most 80 characters.",
+    },
+    {
+      path: "materials[4].codigo",
+      code: "ean13_check_digit",
+      message: "EAN-13 has an invalid check digit.",
+    },
+    {
+      path: "materials[5].codigo",
+      code: "ean13_format",
+      message: "EAN-13 must contain 12 or 13 numeric digits.",
+    },
+  ]);
+});
+
+test("codeType desconhecido no material é recusado", async () => {
+  const { status, body } = await post("/gerar-etiquetas", {
+    layout: { preset: "pimaco-6180" },
+    materials: [
+      { nome: "A", codigo: "1", codeType: "upc" },
+      { nome: "B", codigo: "2", codeType: ["qr", "upc"] },
+    ],
+  });
+
+  assert.equal(status, 422);
+  assert.deepEqual(paths(body), ["materials[0].codeType", "materials[1].codeType[1]"]);
+});
+
+test("elementos do card apontam o índice e o campo de cada problema", async () => {
+  const { status, body } = await post(
+    "/gerar-etiquetas",
+    {
+      layout: {
+        preset: "pimaco-6180",
+        elements: [
+          { type: "field" },
+          { type: "text", text: "Lote", fontSize: -1, color: "red" },
+          { type: "code", fit: { mode: "shrink" } },
+          { type: "divider", style: "wavy" },
+          { type: "field", field: "nome", fit: { mode: "wrap", maxLines: 2 } },
+        ],
+      },
+      materials: [{ nome: "A", codigo: "1" }],
+    },
+    "en"
+  );
+
+  assert.equal(status, 422);
+  assert.deepEqual(body.details.errors, [
+    {
+      path: "layout.elements[0].field",
+      code: "element_required",
+      message: "'field' is required for elements of type field.",
+    },
+    {
+      path: "layout.elements[1].fontSize",
+      code: "positive_number",
+      message: "'fontSize' must be a number greater than zero (mm).",
+    },
+    {
+      path: "layout.elements[1].color",
+      code: "color",
+      message: "'color' must be a hexadecimal color, e.g. #1f2937.",
+    },
+    {
+      path: "layout.elements[2].fit",
+      code: "element_fit_type",
+      message: "'fit' only applies to elements of type field or text.",
+    },
+    {
+      path: "layout.elements[3].style",
+      code: "enum",
+      message: "'style' must be one of: solid, dashed, dotted.",
+    },
+  ]);
+});
+
+test("lista de elementos vazia é recusada", async () => {
+  const { status, body } = await post("/gerar-etiquetas", {
+    layout: { preset: "pimaco-6180", elements: [] },
+    materials: [{ nome: "A", codigo: "1" }],
+  });
+
+  assert.equal(status, 422);
+  assert.deepEqual(body.details.errors, [
+    {
+      path: "layout.elements",
+      code: "element_list",
+      message: "'elements' deve ser uma lista com 1 a 30 itens.",
+    },
+  ]);
+});
+
+test("sections e cover só entram em lotes de PDF", async () => {
+  const coverOnly = await post(
+    "/gerar-pdf",
+    { layout: { preset: "pimaco-6180" }, cover: true, materials: [{ nome: "A", codigo: "1" }] },
+    "en"
+  );
+  assert.equal(coverOnly.status, 422);
+  assert.deepEqual(coverOnly.body.details.errors, [
+    {
+      path: "cover",
+      code: "cover_requires_sections",
+      message: "'cover' is only accepted together with 'sections'.",
+    },
+  ]);
+
+  const section = { title: "A", materials: [{ nome: "A", codigo: "1" }] };
+  const both = await post("/gerar-pdf", {
+    sections: [section],
+    materials: [{ nome: "B", codigo: "2" }],
+  });
+  assert.equal(both.status, 422);
+  assert.deepEqual(paths(both.body), ["materials"]);
+  assert.equal(both.body.details.errors[0].code, "materials_and_sections");
+
+  const labels = await post("/gerar-etiquetas", { sections: [section] });
+  assert.equal(labels.status, 422);
+  assert.deepEqual(paths(labels.body), ["sections"]);
+  assert.equal(labels.body.details.errors[0].code, "sections_not_allowed");
+});
+
+const GRID_2X2 = {
+  pageSize: "A4",
+  cols: 2,
+  rows: 2,
+  marginTop: 10,
+  marginBottom: 10,
+  marginLeft: 10,
+  marginRight: 10,
+  cardWidth: 40,
+  cardHeight: 30,
+  gapCol: 4,
+  gapRow: 10,
+};
+
+test("sangria e marcas de corte precisam caber no espaço entre os cards", async () => {
+  const { status, body } = await post(
+    "/gerar-etiquetas",
+    {
+      layout: { ...GRID_2X2, bleed: 2.5, cardBackground: "#fde68a", cutMarks: true },
+      materials: [{ nome: "A", codigo: "1" }],
+    },
+    "en"
+  );
+
+  // 'gapRow' (10 mm) comporta os 6.5 mm das marcas; só 'gapCol' é apontado
+  assert.equal(status, 422);
+  assert.deepEqual(body.details.errors, [
+    {
+      path: "layout.bleed",
+      code: "bleed_exceeds_gap",
+      message: "A 2.5 mm bleed on each card requires 'gapCol' of at least 5 mm (currently 4 mm).",
+    },
+    {
+      path: "layout.cutMarks",
+      code: "cut_marks_exceed_gap",
+      message:
+        "Cut marks reach 6.5 mm past the card (bleed + cutMarkOffset + cutMarkLength), more than 'gapCol' (4 mm); shorten the marks or widen the gap between cards.",
+    },
+  ]);
+});
+
+test("sangria sem cor de fundo é recusada", async () => {
+  const { status, body } = await post("/gerar-etiquetas", {
+    layout: { ...GRID_2X2, bleed: 1 },
+    materials: [{ nome: "A", codigo: "1" }],
+  });
+
+  assert.equal(status, 422);
+  assert.deepEqual(
+    body.details.errors.map(({ path, code }) => ({ path, code })),
+    [{ path: "layout.bleed", code: "bleed_requires_background" }]
+  );
+});